@@ -1,5 +1,5 @@
 // background/api/bing.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
 
 export async function searchBingImages(query, offset = 0, options = {}) {
   try {
@@ -22,7 +22,7 @@ export async function searchBingImages(query, offset = 0, options = {}) {
     params.set('first', String(first));
     const url = `${base}?${params.toString()}`;
 
-    const res = await fetch(url, { credentials: 'omit' });
+    const res = await providerFetch(provider.id, url, { credentials: 'omit' }, options.request);
     if (!res.ok) {
       console.warn(`[Bing] HTML fetch failed: ${res.status}`);
       return [];
@@ -58,3 +58,15 @@ export async function searchBingImages(query, offset = 0, options = {}) {
     return [];
   }
 }
+
+export const provider = {
+  id: 'Bing',
+  label: 'Bing Images (scrape)',
+  category: 'images',
+  requiredKeys: [],
+  // "first" is a result index, so advance by what the page returned
+  pagination: { style: 'offset', next: (offset, received) => offset + received },
+  rateLimit: { concurrency: 1, minIntervalMs: 1500 },
+  search: (query, { offset, request }) => searchBingImages(query, offset, { request }),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
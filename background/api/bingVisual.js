@@ -0,0 +1,85 @@
+// background/api/bingVisual.js
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
+
+// The endpoint behind Bing's "search using an image" in the web UI; answers in the Visual
+// Search API shape. It is undocumented and may change or go away, so the provider is
+// experimental and off by default.
+const KNOWLEDGE_URL = 'https://www.bing.com/images/api/custom/knowledge';
+
+// PagesIncluding lists pages that show this exact image; VisualSearch lists similar ones
+const ACTION_TYPES = { PagesIncluding: true, VisualSearch: false };
+
+/**
+ * Looks an image up with Bing visual search, by URL or by uploading the file.
+ * @param {string} imageUrl The image to look up; ignored when upload is given.
+ * @param {Blob} [upload] The image file, for images without a public URL.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<Array>} Copies and similar images with their host pages and, where Bing
+ *   knows them, width, height and byteSize. _exact marks pages that include the image itself.
+ */
+export async function searchBingVisual(imageUrl, upload = null, request = {}) {
+  const form = new FormData();
+  if (upload) {
+    form.append('image', upload, 'image');
+  } else if (/^https?:\/\//i.test(imageUrl || '')) {
+    form.append('knowledgeRequest', JSON.stringify({ imageInfo: { url: imageUrl } }));
+  } else {
+    return [];
+  }
+
+  try {
+    const res = await providerFetch(provider.id, `${KNOWLEDGE_URL}?q=&iss=sbi&mkt=en-US`, {
+      method: 'POST',
+      body: form,
+      credentials: 'omit'
+    }, request);
+    if (!res.ok) {
+      console.warn(`[Bing Visual] Request failed: ${res.status}`);
+      return [];
+    }
+
+    const data = await res.json();
+    const results = [];
+    for (const tag of data.tags || []) {
+      for (const action of tag.actions || []) {
+        if (!(action.actionType in ACTION_TYPES)) continue;
+        for (const item of action.data?.value || []) {
+          const contentUrl = item.contentUrl || '';
+          if (!/^https?:\/\//i.test(contentUrl)) continue;
+          results.push({
+            title: cleanHtml(item.name || ''),
+            url: contentUrl,
+            imageUrl: contentUrl,
+            pageUrl: item.hostPageUrl || '',
+            source: getDomain(item.hostPageUrl || contentUrl),
+            thumbnail: item.thumbnailUrl || contentUrl,
+            width: Number(item.width) || null,
+            height: Number(item.height) || null,
+            // contentSize comes as "123456 B"
+            byteSize: parseInt(item.contentSize, 10) || null,
+            mime: item.encodingFormat ? `image/${item.encodingFormat}` : null,
+            _exact: ACTION_TYPES[action.actionType]
+          });
+        }
+      }
+    }
+    return results;
+  } catch (e) {
+    console.error('[Bing Visual] Search failed:', e?.message);
+    return [];
+  }
+}
+
+export const provider = {
+  id: 'BingVisual',
+  label: 'Bing Visual Search',
+  category: 'reverse',
+  requiredKeys: [],
+  experimental: true,
+  acceptsUpload: true,
+  // One page per lookup
+  pagination: { style: 'offset', next: () => null },
+  rateLimit: { concurrency: 1, minIntervalMs: 1500 },
+  search: (imageUrl, { upload, request }) => searchBingVisual(imageUrl, upload, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
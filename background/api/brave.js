@@ -1,7 +1,7 @@
 // background/api/brave.js  
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
 
-export async function searchBraveImages(query, apiKey, offset = 0) {
+export async function searchBraveImages(query, apiKey, offset = 0, request = {}) {
   if (!apiKey) {
     console.warn('[Brave Search] API key is missing.');
     return [];
@@ -18,12 +18,12 @@ export async function searchBraveImages(query, apiKey, offset = 0) {
   const url = `https://api.search.brave.com/res/v1/images/search?q=${encodeURIComponent(cleanQuery)}&count=20&offset=${offset}&safesearch=moderate&size=large`;
 
   try {
-    const response = await fetch(url, {
+    const response = await providerFetch(provider.id, url, {
       headers: {
         'Accept': 'application/json',
         'X-Subscription-Token': apiKey
       }
-    });
+    }, request);
 
     if (!response.ok) {
       console.warn(`[Brave Search] Request failed: ${response.status}`);
@@ -46,3 +46,15 @@ export async function searchBraveImages(query, apiKey, offset = 0) {
     return [];
   }
 }
+
+export const provider = {
+  id: 'Brave',
+  label: 'Brave Images',
+  category: 'images',
+  requiredKeys: ['brave'],
+  // offset is a page index, capped at 9
+  pagination: { style: 'page', next: (offset) => (offset < 9 ? offset + 1 : null) },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (query, { apiKeys, offset, request }) => searchBraveImages(query, apiKeys.brave, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -1,58 +1,95 @@
 // background/api/dailymotion.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 20;
+const MAX_PAGES = 5;
+const FIELDS = 'id,title,url,description,created_time,thumbnail_720_url,owner.screenname,duration,embed_url,available_formats';
+
+// Rendition names reported in available_formats, by frame height
+const FORMAT_HEIGHTS = {
+  l1: 144, l2: 240, ld: 240, sd: 380, hq: 480, hd720: 720, hd1080: 1080, uhd1440: 1440, uhd2160: 2160
+};
+
+function maxFormatHeight(formats) {
+  const heights = (formats || []).map(format => FORMAT_HEIGHTS[format] || 0);
+  return heights.length > 0 ? Math.max(...heights) || null : null;
+}
 
 /**
  * Fetches videos from Dailymotion API.
  * @param {string} query The search query.
- * @param {number} offset The offset for pagination (default: 0).
- * @returns {Promise<Array>} A promise that resolves to an array of formatted video results.
+ * @param {number} offset Zero-based page index.
+ * @param {object} [options]
+ * @param {number} [options.days] Only videos created within this many days (0 for any time).
+ * @param {object} [options.request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: number|null}>} Formatted video results and the
+ *   next page index (null when there is none).
  */
-export async function searchDailymotion(query, offset = 0) {
-  const limit = 5;
-  
-    // Clean up the query for better API compatibility - use simpler terms
-  const cleanQuery = query.replace(/[^\w\s]/g, ' ').trim().split(' ').slice(0, 2).join(' ');
-  
+export async function searchDailymotion(query, offset = 0, options = {}) {
+  // Clean up the query for better API compatibility - use simpler terms
+  const cleanQuery = query.replace(/[^\w\s]/g, ' ').trim().split(/\s+/).slice(0, 2).join(' ');
+
   // If query is too short or empty, return empty results
   if (!cleanQuery || cleanQuery.length < 2) {
     console.warn('[Dailymotion] Query too short or empty');
-    return [];
+    return { results: [], next: null };
+  }
+
+  const page = Math.max(0, Math.min(Number(offset) || 0, MAX_PAGES - 1)) + 1;
+  let url = `https://api.dailymotion.com/videos?search=${encodeURIComponent(cleanQuery)}&limit=${PAGE_SIZE}&page=${page}&fields=${FIELDS}&sort=relevance`;
+  if (options.days > 0) {
+    url += `&created_after=${Math.floor((Date.now() - options.days * 24 * 60 * 60 * 1000) / 1000)}`;
   }
-  
-  // Ensure offset is within reasonable bounds
-  const safeOffset = Math.max(0, Math.min(offset, 100));
-  
-  // Get recent videos - last 30 days
-  const createdAfter = Math.floor((Date.now() - 30 * 24 * 60 * 60 * 1000) / 1000);
-  
-  const url = `https://api.dailymotion.com/videos?search=${encodeURIComponent(cleanQuery)}&limit=${limit}&offset=${safeOffset}&fields=title,url,description,created_time,thumbnail_large_url,owner.screenname&sort=relevance&created_after=${createdAfter}`;
 
   try {
-    const response = await fetch(url);
+    const response = await providerFetch(provider.id, url, {}, options.request);
     if (!response.ok) {
-      console.warn(`[Dailymotion] Request failed: ${response.status} for query: "${cleanQuery}" with offset: ${safeOffset}`);
+      console.warn(`[Dailymotion] Request failed: ${response.status} for query: "${cleanQuery}" on page: ${page}`);
       // Return empty array instead of throwing error
-      return [];
+      return { results: [], next: null };
     }
 
     const data = await response.json();
-    
+
     if (!data.list || !Array.isArray(data.list)) {
       console.warn('[Dailymotion] No valid results returned');
-      return [];
+      return { results: [], next: null };
     }
-    
-    return data.list.map(video => ({
-      title: cleanHtml(video.title || ''),
-      url: video.url || '',
-      snippet: cleanHtml(video.description || ''),
-      source: 'Dailymotion',
-      publishedAt: video.created_time ? new Date(video.created_time * 1000).toISOString() : new Date().toISOString(),
-      thumbnail: video.thumbnail_large_url || '',
-      author: cleanHtml(video['owner.screenname'] || ''),
-    }));
+
+    const results = data.list.map(video => {
+      const height = maxFormatHeight(video.available_formats);
+      return {
+        title: cleanHtml(video.title || ''),
+        url: video.url || '',
+        snippet: cleanHtml(video.description || ''),
+        source: 'Dailymotion',
+        publishedAt: video.created_time ? new Date(video.created_time * 1000).toISOString() : null,
+        thumbnail: video.thumbnail_720_url || '',
+        author: cleanHtml(video['owner.screenname'] || ''),
+        videoId: video.id,
+        embedUrl: video.embed_url || (video.id ? `https://www.dailymotion.com/embed/video/${video.id}` : ''),
+        duration: Number(video.duration) || null,
+        height,
+        resolution: height ? `${height}p` : null
+      };
+    });
+    return { results, next: data.has_more && page < MAX_PAGES ? page : null };
   } catch (error) {
     console.error('[Dailymotion] Search failed:', error.message);
-    return [];
+    return { results: [], next: null };
   }
 }
+
+export const provider = {
+  id: 'Dailymotion',
+  label: 'Dailymotion',
+  category: 'videos',
+  // The public API needs no key
+  requiredKeys: [],
+  // search returns { results, next } with the next page index
+  pagination: { style: 'page' },
+  rateLimit: { concurrency: 2, minIntervalMs: 250 },
+  configKeys: ['videoFreshnessDays'],
+  search: (query, { offset, config, request }) => searchDailymotion(query, offset, { days: Number(config.videoFreshnessDays || 0), request }),
+  normalize: (raw) => ({ ...raw, pageUrl: raw.url })
+};
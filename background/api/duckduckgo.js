@@ -0,0 +1,92 @@
+// background/api/duckduckgo.js
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
+
+// i.js needs the per-query "vqd" token from the HTML search page; reuse it across pages
+const vqdCache = new Map();
+const VQD_CACHE_LIMIT = 20;
+
+async function getVqd(query, request = {}) {
+  if (vqdCache.has(query)) return vqdCache.get(query);
+
+  const res = await providerFetch(provider.id, `https://duckduckgo.com/?q=${encodeURIComponent(query)}&iax=images&ia=images`, { credentials: 'omit' }, request);
+  if (!res.ok) {
+    console.warn(`[DuckDuckGo] Token fetch failed: ${res.status}`);
+    return null;
+  }
+  const html = await res.text();
+  const match = html.match(/vqd=["']?([\d-]+)["']?/);
+  if (!match) {
+    console.warn('[DuckDuckGo] No vqd token in search page');
+    return null;
+  }
+  if (vqdCache.size >= VQD_CACHE_LIMIT) vqdCache.delete(vqdCache.keys().next().value);
+  vqdCache.set(query, match[1]);
+  return match[1];
+}
+
+/**
+ * Fetches large images from DuckDuckGo's image results.
+ * @param {string} query The search query.
+ * @param {number} offset Result index ("s").
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<Array>} Results in the same shape as searchBingImages, plus the
+ *   width and height DuckDuckGo reports.
+ */
+export async function searchDuckDuckGoImages(query, offset = 0, request = {}) {
+  try {
+    const cleanQuery = query.trim();
+    if (!cleanQuery || cleanQuery.length < 2) return [];
+
+    const vqd = await getVqd(cleanQuery, request);
+    if (!vqd) return [];
+
+    const params = new URLSearchParams({
+      l: 'us-en',
+      o: 'json',
+      q: cleanQuery,
+      vqd,
+      f: ',size:Large,,,,',
+      p: '1',
+      s: String(Math.max(0, Number(offset) || 0))
+    });
+    const res = await providerFetch(provider.id, `https://duckduckgo.com/i.js?${params.toString()}`, {
+      credentials: 'omit',
+      headers: { 'Accept': 'application/json' }
+    }, request);
+    if (!res.ok) {
+      // A stale token is rejected; fetch a fresh one on the next call
+      if (res.status === 403) vqdCache.delete(cleanQuery);
+      console.warn(`[DuckDuckGo] Request failed: ${res.status}`);
+      return [];
+    }
+
+    const data = await res.json();
+    return (data.results || [])
+      .filter(image => image.image && /^https?:\/\//i.test(image.image))
+      .map(image => ({
+        title: cleanHtml(image.title || ''),
+        url: image.image,
+        imageUrl: image.image,
+        pageUrl: image.url || '',
+        source: getDomain(image.url || image.image),
+        thumbnail: image.thumbnail || image.image,
+        width: Number(image.width) || null,
+        height: Number(image.height) || null
+      }));
+  } catch (e) {
+    console.error('[DuckDuckGo] Search failed:', e?.message);
+    return [];
+  }
+}
+
+export const provider = {
+  id: 'DuckDuckGo',
+  label: 'DuckDuckGo Images',
+  category: 'images',
+  requiredKeys: [],
+  // "s" is a result index, so advance by what the page returned
+  pagination: { style: 'offset', next: (offset, received) => offset + received },
+  rateLimit: { concurrency: 1, minIntervalMs: 1500 },
+  search: (query, { offset, request }) => searchDuckDuckGoImages(query, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -0,0 +1,131 @@
+// background/api/flickr.js
+import { cleanHtml, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 50;
+const MAX_PAGES = 80;
+
+// Largest first; url_o is only returned when the owner allows original downloads
+const SIZE_SUFFIXES = ['o', '6k', '5k', '4k', '3k', 'k', 'h', 'l'];
+const EXTRAS = [...SIZE_SUFFIXES.map(suffix => `url_${suffix}`), 'owner_name', 'license', 'date_taken', 'description'].join(',');
+
+// flickr.photos.licenses.getInfo
+const LICENSES = {
+  0: 'All Rights Reserved',
+  1: 'CC BY-NC-SA 2.0',
+  2: 'CC BY-NC 2.0',
+  3: 'CC BY-NC-ND 2.0',
+  4: 'CC BY 2.0',
+  5: 'CC BY-SA 2.0',
+  6: 'CC BY-ND 2.0',
+  7: 'No known copyright restrictions',
+  8: 'United States Government Work',
+  9: 'CC0 1.0',
+  10: 'Public Domain Mark 1.0',
+  11: 'CC BY 4.0',
+  12: 'CC BY-SA 4.0',
+  13: 'CC BY-ND 4.0',
+  14: 'CC BY-NC 4.0',
+  15: 'CC BY-NC-SA 4.0',
+  16: 'CC BY-NC-ND 4.0'
+};
+
+function largestSize(photo) {
+  for (const suffix of SIZE_SUFFIXES) {
+    const url = photo[`url_${suffix}`];
+    if (url) {
+      return { url, width: Number(photo[`width_${suffix}`]) || null, height: Number(photo[`height_${suffix}`]) || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetches photos from Flickr at the largest size the owner makes available.
+ * @param {string} query The search query.
+ * @param {string} apiKey The Flickr API key.
+ * @param {number} offset Zero-based page index.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: number|null}>} Results in the same shape as
+ *   searchBingImages, plus width, height, license, author and publishedAt, and the next
+ *   page index (null on the last page).
+ */
+export async function searchFlickrImages(query, apiKey, offset = 0, request = {}) {
+  if (!apiKey) {
+    console.warn('[Flickr] API key is missing.');
+    return { results: [], next: null };
+  }
+
+  const cleanQuery = query.trim();
+  if (!cleanQuery || cleanQuery.length < 2) return { results: [], next: null };
+
+  const page = Math.max(0, Number(offset) || 0) + 1;
+  const params = new URLSearchParams({
+    method: 'flickr.photos.search',
+    api_key: apiKey,
+    text: cleanQuery,
+    format: 'json',
+    nojsoncallback: '1',
+    per_page: String(PAGE_SIZE),
+    page: String(page),
+    sort: 'relevance',
+    content_type: '1',
+    media: 'photos',
+    safe_search: '1',
+    extras: EXTRAS
+  });
+
+  try {
+    const response = await providerFetch(provider.id, `https://api.flickr.com/services/rest/?${params.toString()}`, {}, request);
+    if (!response.ok) {
+      console.warn(`[Flickr] Request failed: ${response.status}`);
+      return { results: [], next: null };
+    }
+
+    const data = await response.json();
+    // Flickr reports errors such as a bad key with HTTP 200
+    if (data.stat !== 'ok') {
+      console.warn(`[Flickr] API error: ${data.message || data.stat}`);
+      return { results: [], next: null };
+    }
+
+    const results = (data.photos?.photo || [])
+      .map(photo => ({ photo, size: largestSize(photo) }))
+      .filter(({ size }) => size)
+      .map(({ photo, size }) => ({
+        title: cleanHtml(photo.title || ''),
+        url: size.url,
+        imageUrl: size.url,
+        pageUrl: `https://www.flickr.com/photos/${photo.owner}/${photo.id}`,
+        snippet: cleanHtml(photo.description?._content || '').slice(0, 300),
+        source: 'flickr.com',
+        sourceName: 'Flickr',
+        thumbnail: photo.url_l || size.url,
+        width: size.width,
+        height: size.height,
+        license: LICENSES[photo.license] || null,
+        author: cleanHtml(photo.ownername || '') || null,
+        // date_taken is local time without a zone; keep the calendar date only
+        publishedAt: photo.datetaken ? photo.datetaken.slice(0, 10) : null
+      }));
+    // Photos without a public size are filtered out above, so a short page is not
+    // necessarily the last one: paging follows Flickr's own page count
+    const pages = Math.min(Number(data.photos?.pages) || 0, MAX_PAGES);
+    return { results, next: page < pages ? page : null };
+  } catch (error) {
+    console.error('[Flickr] Search failed:', error.message);
+    return { results: [], next: null };
+  }
+}
+
+export const provider = {
+  id: 'Flickr',
+  label: 'Flickr',
+  category: 'images',
+  requiredKeys: ['flickr'],
+  // offset is a page index; search returns next from the API's page/pages, since past the
+  // last page Flickr repeats it. Search results stop at 4,000 photos.
+  pagination: { style: 'page' },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (query, { apiKeys, offset, request }) => searchFlickrImages(query, apiKeys.flickr, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -1,24 +1,33 @@
 // background/api/gnews.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, getDomain, canonicalizeUrl, providerFetch } from '../utils/BUtils.js';
+
+// The free plan's largest page; a larger max would be cut to it and throw page numbers off
+const PAGE_SIZE = 10;
+const MAX_PAGES = 5;
 
 /**
  * Fetches news articles from the GNews API.
  * @param {string} query The search query.
  * @param {string} apiKey The GNews API key.
- * @param {number} offset The offset for pagination (default: 0).
- * @returns {Promise<Array>} A promise that resolves to an array of formatted news articles.
+ * @param {number} offset Zero-based page index.
+ * @param {number} [days] Only articles from the last this many days (0 for any time).
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: number|null}>} Formatted news articles and the next
+ *   page index (null once totalArticles is reached).
  */
-export async function searchGNews(query, apiKey, offset = 0, days = 1) {
+export async function searchGNews(query, apiKey, offset = 0, days = 1, request = {}) {
   if (!apiKey) {
     console.warn('[GNews API] API key is missing.');
-    return [];
+    return { results: [], next: null };
   }
 
   // Clean up the query for better API compatibility
   const cleanQuery = query.replace(/[^\w\s]/g, ' ').trim();
   
+  // GNews pages with page (1-based), not an offset
+  const page = Math.max(0, Number(offset) || 0) + 1;
   // Build URL; when days is null/undefined, do NOT restrict by date and use relevance sort
-  let url = `https://gnews.io/api/v4/search?q=${encodeURIComponent(cleanQuery)}&lang=en&max=50&token=${apiKey}&offset=${offset}&in=title,description`;
+  let url = `https://gnews.io/api/v4/search?q=${encodeURIComponent(cleanQuery)}&lang=en&max=${PAGE_SIZE}&page=${page}&token=${apiKey}&in=title,description`;
   if (typeof days === 'number' && days > 0) {
     const fromDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
     url += `&sortby=publishedAt&from=${fromDate}`;
@@ -27,14 +36,14 @@ export async function searchGNews(query, apiKey, offset = 0, days = 1) {
   }
 
   try {
-    const response = await fetch(url);
+    const response = await providerFetch(provider.id, url, {}, request);
     if (!response.ok) {
       console.warn(`[GNews API] Request failed: ${response.status}`);
-      return [];
+      return { results: [], next: null };
     }
 
     const data = await response.json();
-    return (data.articles || []).map(article => ({
+    const results = (data.articles || []).map(article => ({
       title: cleanHtml(article.title),
       url: article.url,
       snippet: cleanHtml(article.description),
@@ -42,8 +51,26 @@ export async function searchGNews(query, apiKey, offset = 0, days = 1) {
       publishedAt: article.publishedAt,
       thumbnail: article.image,
     }));
+    const more = results.length > 0 && page * PAGE_SIZE < (Number(data.totalArticles) || 0) && page < MAX_PAGES;
+    return { results, next: more ? page : null };
   } catch (error) {
     console.error('[GNews API] Search failed:', error.message);
-    return [];
+    return { results: [], next: null };
   }
 }
+
+export const provider = {
+  id: 'GNews',
+  label: 'GNews',
+  category: 'news',
+  requiredKeys: ['gnews'],
+  // offset is a page index; search stops paging at totalArticles
+  pagination: { style: 'page' },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  configKeys: ['newsFreshnessDays'],
+  search: (query, { apiKeys, offset, config, request }) => searchGNews(query, apiKeys.gnews, offset, Number(config.newsFreshnessDays || 0), request),
+  normalize: (raw) => {
+    const url = canonicalizeUrl(raw.url);
+    return { ...raw, url, pageUrl: url };
+  }
+};
@@ -1,5 +1,5 @@
 // background/api/googleImages.js
-import { cleanHtml, getDomain, canonicalizeUrl } from '../utils/BUtils.js';
+import { cleanHtml, getDomain, canonicalizeUrl, providerFetch } from '../utils/BUtils.js';
 
 export async function searchGoogleImages(query, apiKey, cx, offset = 0, options = {}) {
   if (!apiKey || !cx) {
@@ -17,7 +17,7 @@ export async function searchGoogleImages(query, apiKey, cx, offset = 0, options
     + `&imgSize=xxlarge&imgType=photo&safe=off`;
 
   try {
-    const response = await fetch(url);
+    const response = await providerFetch(provider.id, url, {}, options.request);
     if (!response.ok) {
       console.warn(`[Google Images API] Request failed: ${response.status}`);
       return [];
@@ -71,3 +71,18 @@ export async function searchGoogleImages(query, apiKey, cx, offset = 0, options
     return [];
   }
 }
+
+export const provider = {
+  id: 'GoogleCSE',
+  label: 'Google Custom Search',
+  category: 'images',
+  requiredKeys: ['googleImages.apiKey', 'googleImages.cx'],
+  paid: true,
+  // The free tier allows 100 queries a day
+  dailyQuota: 100,
+  // 10 per page; start may not pass 91
+  pagination: { style: 'offset', next: (offset) => (offset + 10 < 90 ? offset + 10 : null) },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (query, { apiKeys, offset, request }) => searchGoogleImages(query, apiKeys.googleImages.apiKey, apiKeys.googleImages.cx, offset, { request }),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -0,0 +1,72 @@
+// background/api/googleLens.js
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
+
+function toResult(match, exact) {
+  const imageUrl = match.image || match.original || '';
+  if (!/^https?:\/\//i.test(imageUrl)) return null;
+  return {
+    title: cleanHtml(match.title || ''),
+    url: imageUrl,
+    imageUrl,
+    pageUrl: match.link || '',
+    source: getDomain(match.link || imageUrl),
+    sourceName: cleanHtml(match.source || ''),
+    thumbnail: match.thumbnail || imageUrl,
+    width: Number(match.image_width || match.actual_image_width || match.original_width) || null,
+    height: Number(match.image_height || match.actual_image_height || match.original_height) || null,
+    _exact: exact
+  };
+}
+
+/**
+ * Looks an image up with Google Lens through SerpApi. Lens needs a public image URL, so
+ * uploaded files are not supported.
+ * @param {string} imageUrl The image to look up.
+ * @param {string} apiKey The SerpApi key.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<Array>} Pages showing the image or similar ones, with the full-size
+ *   image URL where Lens reports one. _exact marks Lens's exact matches.
+ */
+export async function searchGoogleLens(imageUrl, apiKey, request = {}) {
+  if (!apiKey) {
+    console.warn('[Google Lens] API key is missing.');
+    return [];
+  }
+  if (!/^https?:\/\//i.test(imageUrl || '')) return [];
+
+  const params = new URLSearchParams({
+    engine: 'google_lens',
+    url: imageUrl,
+    api_key: apiKey
+  });
+
+  try {
+    const response = await providerFetch(provider.id, `https://serpapi.com/search.json?${params.toString()}`, {}, request);
+    if (!response.ok) {
+      console.warn(`[Google Lens] Request failed: ${response.status}`);
+      return [];
+    }
+
+    const data = await response.json();
+    return [
+      ...(data.exact_matches || []).map(match => toResult(match, true)),
+      ...(data.visual_matches || []).map(match => toResult(match, false))
+    ].filter(Boolean);
+  } catch (error) {
+    console.error('[Google Lens] Search failed:', error.message);
+    return [];
+  }
+}
+
+export const provider = {
+  id: 'GoogleLens',
+  label: 'Google Lens (SerpApi)',
+  category: 'reverse',
+  requiredKeys: ['serpApi'],
+  paid: true,
+  // One page per lookup
+  pagination: { style: 'offset', next: () => null },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (imageUrl, { apiKeys, request }) => searchGoogleLens(imageUrl, apiKeys.serpApi, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
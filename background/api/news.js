@@ -1,9 +1,9 @@
 // background/api/news.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, getDomain, canonicalizeUrl, providerFetch } from '../utils/BUtils.js';
 
-async function fetchNews(url, sourceName, processor) {
+async function fetchNews(url, sourceName, processor, request = {}) {
   try {
-    const response = await fetch(url);
+    const response = await providerFetch(provider.id, url, {}, request);
     if (!response.ok) {
       console.warn(`[${sourceName}] Request failed: ${response.status}`);
       return [];
@@ -22,9 +22,11 @@ async function fetchNews(url, sourceName, processor) {
  * @param {string} apiKey The NewsAPI.org API key.
  * @param {object} searchConfig The search configuration.
  * @param {number} offset The offset for pagination (default: 0).
+ * @param {number} [days] Only articles from the last this many days (0 for any time).
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
  * @returns {Promise<Array>} A promise that resolves to an array of formatted news articles.
  */
-export async function searchNewsAPIOrg(query, apiKey, searchConfig, offset = 0, days = 1) {
+export async function searchNewsAPIOrg(query, apiKey, searchConfig, offset = 0, days = 1, request = {}) {
   if (!apiKey) {
     console.warn('[NewsAPI.org] API key is missing.');
     return [];
@@ -53,3 +55,19 @@ export async function searchNewsAPIOrg(query, apiKey, searchConfig, offset = 0,
     }));
   });
 }
+
+export const provider = {
+  id: 'NewsAPIOrg',
+  label: 'NewsAPI.org',
+  category: 'news',
+  requiredKeys: ['newsapi_org'],
+  // 20 per page; developer keys stop at 100 results
+  pagination: { style: 'offset', next: (offset) => (offset + 20 < 100 ? offset + 20 : null) },
+  rateLimit: { concurrency: 1, minIntervalMs: 500 },
+  configKeys: ['newsFreshnessDays'],
+  search: (query, { apiKeys, offset, config, request }) => searchNewsAPIOrg(query, apiKeys.newsapi_org, config, offset, Number(config.newsFreshnessDays || 0), request),
+  normalize: (raw) => {
+    const url = canonicalizeUrl(raw.url);
+    return { ...raw, url, pageUrl: url };
+  }
+};
@@ -0,0 +1,77 @@
+// background/api/openverse.js
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 20;
+// Anonymous requests may not page past 240 results
+const MAX_PAGES = 12;
+
+function formatLicense(license, version) {
+  if (!license) return null;
+  if (license === 'cc0') return `CC0 ${version || '1.0'}`.trim();
+  if (license === 'pdm') return 'Public Domain Mark';
+  return `CC ${license.toUpperCase()} ${version || ''}`.trim();
+}
+
+/**
+ * Fetches openly licensed images from Openverse.
+ * @param {string} query The search query.
+ * @param {number} offset Zero-based page index.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<Array>} Results in the same shape as searchBingImages, plus width,
+ *   height, byteSize, license, licenseUrl and author.
+ */
+export async function searchOpenverseImages(query, offset = 0, request = {}) {
+  const cleanQuery = query.trim();
+  if (!cleanQuery || cleanQuery.length < 2) return [];
+
+  const page = Math.max(0, Number(offset) || 0) + 1;
+  const params = new URLSearchParams({
+    q: cleanQuery,
+    page: String(page),
+    page_size: String(PAGE_SIZE),
+    size: 'large',
+    mature: 'false'
+  });
+
+  try {
+    const response = await providerFetch(provider.id, `https://api.openverse.org/v1/images/?${params.toString()}`, { credentials: 'omit' }, request);
+    if (!response.ok) {
+      console.warn(`[Openverse] Request failed: ${response.status}`);
+      return [];
+    }
+
+    const data = await response.json();
+    return (data.results || [])
+      .filter(image => image.url && image.url.startsWith('http'))
+      .map(image => ({
+        title: cleanHtml(image.title || ''),
+        url: image.url,
+        imageUrl: image.url,
+        pageUrl: image.foreign_landing_url || '',
+        source: getDomain(image.foreign_landing_url || image.url),
+        sourceName: cleanHtml(image.source || image.provider || ''),
+        thumbnail: image.thumbnail || image.url,
+        width: Number(image.width) || null,
+        height: Number(image.height) || null,
+        byteSize: Number(image.filesize) || null,
+        license: formatLicense(image.license, image.license_version),
+        licenseUrl: image.license_url || null,
+        author: cleanHtml(image.creator || '') || null
+      }));
+  } catch (error) {
+    console.error('[Openverse] Search failed:', error.message);
+    return [];
+  }
+}
+
+export const provider = {
+  id: 'Openverse',
+  label: 'Openverse',
+  category: 'images',
+  requiredKeys: [],
+  // offset is a page index
+  pagination: { style: 'page', next: (offset) => (offset < MAX_PAGES - 1 ? offset + 1 : null) },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (query, { offset, request }) => searchOpenverseImages(query, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -0,0 +1,77 @@
+// background/api/pexels.js
+import { cleanHtml, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 40;
+
+/**
+ * Fetches photos from the Pexels API at their original dimensions.
+ * @param {string} query The search query.
+ * @param {string} apiKey The Pexels API key.
+ * @param {number} offset Zero-based page index.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<Array>} Image results with width, height, author and license. Pexels
+ *   does not report an upload date, so publishedAt is always null.
+ */
+export async function searchPexelsImages(query, apiKey, offset = 0, request = {}) {
+  if (!apiKey) {
+    console.warn('[Pexels] API key is missing.');
+    return [];
+  }
+
+  const cleanQuery = query.trim();
+  if (!cleanQuery || cleanQuery.length < 2) return [];
+
+  const params = new URLSearchParams({
+    query: cleanQuery,
+    page: String(Math.max(0, Number(offset) || 0) + 1),
+    per_page: String(PAGE_SIZE),
+    size: 'large'
+  });
+
+  try {
+    const response = await providerFetch(provider.id, `https://api.pexels.com/v1/search?${params.toString()}`, {
+      headers: {
+        'Authorization': apiKey
+      }
+    }, request);
+
+    if (!response.ok) {
+      console.warn(`[Pexels] Request failed: ${response.status}`);
+      return [];
+    }
+
+    const data = await response.json();
+    return (data.photos || [])
+      .filter(photo => photo.src?.original)
+      .map(photo => ({
+        title: cleanHtml(photo.alt || ''),
+        url: photo.src.original,
+        imageUrl: photo.src.original,
+        pageUrl: photo.url || '',
+        source: 'pexels.com',
+        sourceName: 'Pexels',
+        thumbnail: photo.src.large || photo.src.medium || photo.src.original,
+        width: Number(photo.width) || null,
+        height: Number(photo.height) || null,
+        author: cleanHtml(photo.photographer || '') || null,
+        license: 'Pexels License',
+        licenseUrl: 'https://www.pexels.com/license/',
+        publishedAt: null
+      }));
+  } catch (error) {
+    console.error('[Pexels] Search failed:', error.message);
+    return [];
+  }
+}
+
+export const provider = {
+  id: 'Pexels',
+  label: 'Pexels',
+  category: 'images',
+  requiredKeys: ['pexels'],
+  // offset is a page index; a short page is the last one
+  pagination: { style: 'page', next: (offset, received) => (received >= PAGE_SIZE ? offset + 1 : null) },
+  rateLimit: { concurrency: 1, minIntervalMs: 500 },
+  search: (query, { apiKeys, offset, request }) => searchPexelsImages(query, apiKeys.pexels, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -0,0 +1,104 @@
+// background/api/reddit.js
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 50;
+const DIRECT_IMAGE = /\.(jpe?g|png|webp|gif)(\?|$)/i;
+
+// raw_json=1 asks for unescaped URLs; undo any &amp; that still slips through
+function unescapeUrl(url) {
+  return (url || '').replace(/&amp;/g, '&');
+}
+
+// Largest downscaled copy up to 640px wide, for the grid
+function pickThumbnail(resolutions) {
+  const fitting = (resolutions || []).filter(res => Number(res.x || res.width) <= 640);
+  const best = fitting[fitting.length - 1];
+  return best ? unescapeUrl(best.u || best.url) : null;
+}
+
+function galleryImages(post) {
+  const order = (post.gallery_data?.items || []).map(item => item.media_id);
+  return order
+    .map(id => post.media_metadata?.[id])
+    .filter(media => media?.status === 'valid' && media.s?.u)
+    .map(media => ({
+      url: unescapeUrl(media.s.u),
+      width: Number(media.s.x) || null,
+      height: Number(media.s.y) || null,
+      thumbnail: pickThumbnail(media.p)
+    }));
+}
+
+function postImages(post) {
+  if (post.is_gallery) return galleryImages(post);
+  const preview = post.preview?.images?.[0];
+  const source = preview?.source;
+  if (!source?.url) return [];
+  // Direct links (i.redd.it, i.imgur.com) are the original file; otherwise use Reddit's copy
+  const url = DIRECT_IMAGE.test(post.url || '') ? post.url : unescapeUrl(source.url);
+  return [{ url, width: Number(source.width) || null, height: Number(source.height) || null, thumbnail: pickThumbnail(preview.resolutions) }];
+}
+
+/**
+ * Fetches image posts from Reddit search, newest first.
+ * @param {string} query The search query.
+ * @param {string|number} [after] The "after" token from the previous page; falsy for the first.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: string|null}>} Image results with the original
+ *   width, height, author and publishedAt, and the token for the next page.
+ */
+export async function searchRedditImages(query, after, request = {}) {
+  const cleanQuery = query.trim();
+  if (!cleanQuery || cleanQuery.length < 2) return { results: [], next: null };
+
+  const params = new URLSearchParams({ q: cleanQuery, type: 'link', sort: 'new', limit: String(PAGE_SIZE), raw_json: '1' });
+  if (after) params.set('after', String(after));
+
+  try {
+    const response = await providerFetch(provider.id, `https://www.reddit.com/search.json?${params.toString()}`, { credentials: 'omit' }, request);
+    if (!response.ok) {
+      console.warn(`[Reddit] Request failed: ${response.status}`);
+      return { results: [], next: null };
+    }
+
+    const data = await response.json();
+    const results = (data.data?.children || [])
+      .map(child => child.data)
+      .filter(post => post && !post.over_18)
+      .flatMap(post => postImages(post).map(image => {
+        const pageUrl = `https://www.reddit.com${post.permalink}`;
+        return {
+          title: cleanHtml(post.title || ''),
+          url: image.url,
+          imageUrl: image.url,
+          pageUrl,
+          snippet: post.subreddit_name_prefixed || '',
+          source: getDomain(image.url),
+          sourceName: post.subreddit_name_prefixed || 'Reddit',
+          thumbnail: image.thumbnail || image.url,
+          width: image.width,
+          height: image.height,
+          author: post.author ? `u/${post.author}` : null,
+          publishedAt: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : null
+        };
+      }))
+      .filter(image => /^https?:\/\//i.test(image.imageUrl));
+    return { results, next: data.data?.after || null };
+  } catch (error) {
+    console.error('[Reddit] Search failed:', error.message);
+    return { results: [], next: null };
+  }
+}
+
+export const provider = {
+  id: 'Reddit',
+  label: 'Reddit',
+  category: 'images',
+  requiredKeys: [],
+  // search returns { results, next } with Reddit's "after" token
+  pagination: { style: 'token' },
+  // Unauthenticated clients get roughly ten requests a minute
+  rateLimit: { concurrency: 1, minIntervalMs: 6000 },
+  search: (query, { offset, request }) => searchRedditImages(query, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
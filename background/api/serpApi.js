@@ -1,5 +1,5 @@
 // background/api/serpApi.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
 
 export async function searchSerpApiImages(query, apiKey, offset = 0, options = {}) {
   if (!apiKey) {
@@ -31,7 +31,7 @@ export async function searchSerpApiImages(query, apiKey, offset = 0, options = {
   });
 
   try {
-    const response = await fetch(`${baseUrl}?${params}`);
+    const response = await providerFetch(provider.id, `${baseUrl}?${params}`, {}, options.request);
     if (!response.ok) {
       console.warn(`[SerpApi] Request failed: ${response.status}`);
       return [];
@@ -66,3 +66,16 @@ export async function searchSerpApiImages(query, apiKey, offset = 0, options = {
     return [];
   }
 }
+
+export const provider = {
+  id: 'SerpApi',
+  label: 'SerpApi (Google Images)',
+  category: 'images',
+  requiredKeys: ['serpApi'],
+  paid: true,
+  // 100 results per ijn page
+  pagination: { style: 'offset', next: (offset) => offset + 100 },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (query, { apiKeys, offset, request }) => searchSerpApiImages(query, apiKeys.serpApi, offset, { request }),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
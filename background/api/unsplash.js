@@ -0,0 +1,85 @@
+// background/api/unsplash.js
+import { cleanHtml, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 30;
+
+/**
+ * Fetches photos from the Unsplash API at their original dimensions.
+ * @param {string} query The search query.
+ * @param {string} apiKey The Unsplash access key.
+ * @param {number} offset Zero-based page index.
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<Array>} Image results with width, height, mime, author, license and
+ *   publishedAt.
+ */
+export async function searchUnsplashImages(query, apiKey, offset = 0, request = {}) {
+  if (!apiKey) {
+    console.warn('[Unsplash] API key is missing.');
+    return [];
+  }
+
+  const cleanQuery = query.trim();
+  if (!cleanQuery || cleanQuery.length < 2) return [];
+
+  const params = new URLSearchParams({
+    query: cleanQuery,
+    page: String(Math.max(0, Number(offset) || 0) + 1),
+    per_page: String(PAGE_SIZE),
+    content_filter: 'high'
+  });
+
+  try {
+    const response = await providerFetch(provider.id, `https://api.unsplash.com/search/photos?${params.toString()}`, {
+      headers: {
+        'Accept-Version': 'v1',
+        'Authorization': `Client-ID ${apiKey}`
+      }
+    }, request);
+
+    if (!response.ok) {
+      console.warn(`[Unsplash] Request failed: ${response.status}`);
+      return [];
+    }
+
+    const data = await response.json();
+    return (data.results || [])
+      // "full" is the original dimensions as a high-quality JPEG; "raw" is the unprocessed upload
+      .filter(photo => photo.urls?.full || photo.urls?.raw)
+      .map(photo => {
+        const imageUrl = photo.urls.full || photo.urls.raw;
+        return {
+          title: cleanHtml(photo.description || photo.alt_description || ''),
+          url: imageUrl,
+          imageUrl,
+          pageUrl: photo.links?.html || '',
+          snippet: cleanHtml(photo.alt_description || ''),
+          source: 'unsplash.com',
+          sourceName: 'Unsplash',
+          thumbnail: photo.urls.small || photo.urls.regular || imageUrl,
+          width: Number(photo.width) || null,
+          height: Number(photo.height) || null,
+          // The URLs carry no extension; "full" is always served as JPEG
+          mime: photo.urls.full ? 'image/jpeg' : null,
+          author: cleanHtml(photo.user?.name || '') || null,
+          license: 'Unsplash License',
+          licenseUrl: 'https://unsplash.com/license',
+          publishedAt: photo.created_at || null
+        };
+      });
+  } catch (error) {
+    console.error('[Unsplash] Search failed:', error.message);
+    return [];
+  }
+}
+
+export const provider = {
+  id: 'Unsplash',
+  label: 'Unsplash',
+  category: 'images',
+  requiredKeys: ['unsplash'],
+  // offset is a page index; a short page is the last one
+  pagination: { style: 'page', next: (offset, received) => (received >= PAGE_SIZE ? offset + 1 : null) },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  search: (query, { apiKeys, offset, request }) => searchUnsplashImages(query, apiKeys.unsplash, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
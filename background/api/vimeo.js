@@ -1,44 +1,86 @@
 // background/api/vimeo.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 20;
+const FIELDS = 'uri,name,description,link,duration,width,height,created_time,release_time,pictures.sizes,user.name,player_embed_url';
 
 /**
  * Fetches videos from the Vimeo API.
  * @param {string} query The search query.
  * @param {string} apiKey The Vimeo API key (access token).
- * @returns {Promise<Array>} A promise that resolves to an array of formatted video results.
+ * @param {number} offset Zero-based page index.
+ * @param {object} [options]
+ * @param {number} [options.days] Only videos released within this many days (0 for any time).
+ * @param {object} [options.request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: number|null}>} Formatted video results and the
+ *   next page index (null when there is none).
  */
-export async function searchVimeo(query, apiKey) {
+export async function searchVimeo(query, apiKey, offset = 0, options = {}) {
   if (!apiKey) {
     console.warn('[Vimeo API] API key is missing.');
-    return [];
+    return { results: [], next: null };
   }
 
-  const url = `https://api.vimeo.com/videos?query=${encodeURIComponent(query)}&per_page=5&sort=relevant`;
+  const page = Math.max(0, Number(offset) || 0) + 1;
+  const url = `https://api.vimeo.com/videos?query=${encodeURIComponent(query)}&per_page=${PAGE_SIZE}&page=${page}&sort=date&direction=desc&fields=${FIELDS}`;
+  // The search endpoint has no date filter, so the window is applied here
+  const cutoff = options.days > 0 ? Date.now() - options.days * 24 * 60 * 60 * 1000 : 0;
 
   try {
-    const response = await fetch(url, {
+    const response = await providerFetch(provider.id, url, {
       headers: {
         'Authorization': `Bearer ${apiKey}`
       }
-    });
+    }, options.request);
 
     if (!response.ok) {
       console.warn(`[Vimeo API] Request failed: ${response.status}`);
-      return [];
+      return { results: [], next: null };
     }
 
     const data = await response.json();
-    return (data.data || []).map(video => ({
-      title: cleanHtml(video.name),
-      url: video.link,
-      snippet: cleanHtml(video.description),
-      source: 'Vimeo',
-      publishedAt: video.created_time,
-      thumbnail: video.pictures.base_link,
-      author: cleanHtml(video.user.name),
-    }));
+    const videos = data.data || [];
+    const results = videos
+      .map(video => {
+        const sizes = video.pictures?.sizes || [];
+        const largest = sizes.reduce((best, size) => (!best || size.width > best.width ? size : best), null);
+        const height = Number(video.height) || null;
+        return {
+          title: cleanHtml(video.name),
+          url: video.link,
+          snippet: cleanHtml(video.description),
+          source: 'Vimeo',
+          publishedAt: video.release_time || video.created_time || null,
+          thumbnail: largest?.link || '',
+          author: cleanHtml(video.user?.name),
+          videoId: (video.uri || '').split('/').pop(),
+          embedUrl: video.player_embed_url || '',
+          duration: Number(video.duration) || null,
+          width: Number(video.width) || null,
+          height,
+          resolution: height ? `${height}p` : null
+        };
+      })
+      .filter(video => !cutoff || (video.publishedAt && Date.parse(video.publishedAt) >= cutoff));
+
+    // Results are newest first, so once a page crosses the cutoff there is nothing newer left
+    const crossedCutoff = results.length < videos.length;
+    return { results, next: data.paging?.next && !crossedCutoff ? page : null };
   } catch (error) {
     console.error('[Vimeo API] Search failed:', error.message);
-    return [];
+    return { results: [], next: null };
   }
 }
+
+export const provider = {
+  id: 'Vimeo',
+  label: 'Vimeo',
+  category: 'videos',
+  requiredKeys: ['vimeo'],
+  // search returns { results, next } with the next page index
+  pagination: { style: 'page' },
+  rateLimit: { concurrency: 1, minIntervalMs: 1000 },
+  configKeys: ['videoFreshnessDays'],
+  search: (query, { apiKeys, offset, config, request }) => searchVimeo(query, apiKeys.vimeo, offset, { days: Number(config.videoFreshnessDays || 0), request }),
+  normalize: (raw) => ({ ...raw, pageUrl: raw.url })
+};
@@ -0,0 +1,96 @@
+// background/api/wikimedia.js
+import { cleanHtml, getDomain, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 30;
+const API_URL = 'https://commons.wikimedia.org/w/api.php';
+
+// Vector and document files have no meaningful pixel size for the hi-res filter
+const SKIPPED_MIME = /svg|pdf|djvu|tiff/i;
+
+function metaValue(extmetadata, name) {
+  return cleanHtml(extmetadata?.[name]?.value || '');
+}
+
+/**
+ * Fetches images from Wikimedia Commons, with original dimensions, license and author.
+ * @param {string} query The search query.
+ * @param {number} offset Result offset (gsroffset).
+ * @param {object} [request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: number|null}>} Results in the same shape as
+ *   searchBingImages, plus width, height, byteSize, mime, license, licenseUrl and author,
+ *   and the API's continue.gsroffset (null after the last page).
+ */
+export async function searchWikimediaImages(query, offset = 0, request = {}) {
+  const cleanQuery = query.trim();
+  if (!cleanQuery || cleanQuery.length < 2) return { results: [], next: null };
+
+  const params = new URLSearchParams({
+    action: 'query',
+    format: 'json',
+    origin: '*',
+    generator: 'search',
+    gsrsearch: `${cleanQuery} filetype:bitmap`,
+    gsrnamespace: '6',
+    gsrlimit: String(PAGE_SIZE),
+    gsroffset: String(Math.max(0, Number(offset) || 0)),
+    prop: 'imageinfo',
+    iiprop: 'url|size|mime|extmetadata',
+    iiextmetadatafilter: 'Artist|LicenseShortName|LicenseUrl|ObjectName|ImageDescription|DateTimeOriginal',
+    iiurlwidth: '400'
+  });
+
+  try {
+    const response = await providerFetch(provider.id, `${API_URL}?${params.toString()}`, { credentials: 'omit' }, request);
+    if (!response.ok) {
+      console.warn(`[Wikimedia] Request failed: ${response.status}`);
+      return { results: [], next: null };
+    }
+
+    const data = await response.json();
+    // Generator pages come back keyed by page id; index keeps the search ranking
+    const pages = Object.values(data.query?.pages || {}).sort((a, b) => (a.index || 0) - (b.index || 0));
+    const results = pages
+      .map(page => ({ page, info: page.imageinfo?.[0] }))
+      .filter(({ info }) => info?.url && !SKIPPED_MIME.test(info.mime || ''))
+      .map(({ page, info }) => {
+        const meta = info.extmetadata || {};
+        const pageUrl = info.descriptionurl || '';
+        return {
+          title: metaValue(meta, 'ObjectName') || cleanHtml((page.title || '').replace(/^File:/, '').replace(/\.[a-z0-9]+$/i, '')),
+          url: info.url,
+          imageUrl: info.url,
+          pageUrl,
+          snippet: metaValue(meta, 'ImageDescription').slice(0, 300),
+          source: getDomain(pageUrl || info.url),
+          sourceName: 'Wikimedia Commons',
+          thumbnail: info.thumburl || info.url,
+          width: Number(info.width) || null,
+          height: Number(info.height) || null,
+          byteSize: Number(info.size) || null,
+          mime: info.mime || null,
+          license: metaValue(meta, 'LicenseShortName') || null,
+          licenseUrl: meta.LicenseUrl?.value || null,
+          author: metaValue(meta, 'Artist') || null
+        };
+      });
+    // gsroffset counts search hits, including the files filtered out above, so a page of
+    // them all does not end paging; without continue this was the last page
+    const next = data.continue?.gsroffset;
+    return { results, next: next === undefined ? null : Number(next) };
+  } catch (error) {
+    console.error('[Wikimedia] Search failed:', error.message);
+    return { results: [], next: null };
+  }
+}
+
+export const provider = {
+  id: 'Wikimedia',
+  label: 'Wikimedia Commons',
+  category: 'images',
+  requiredKeys: [],
+  // offset is gsroffset; search returns the API's continue offset
+  pagination: { style: 'offset' },
+  rateLimit: { concurrency: 1, minIntervalMs: 500 },
+  search: (query, { offset, request }) => searchWikimediaImages(query, offset, request),
+  normalize: (raw) => ({ ...raw, imageUrl: raw.imageUrl || raw.url, thumbnail: raw.thumbnail || raw.imageUrl || raw.url })
+};
@@ -1,59 +1,123 @@
 // background/api/youtube.js
-import { cleanHtml, getDomain } from '../utils/BUtils.js';
+import { cleanHtml, providerFetch } from '../utils/BUtils.js';
+
+const PAGE_SIZE = 25;
+
+// "PT1H2M3S" → 3723
+function parseIsoDuration(value) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!m) return null;
+  const [, days, hours, minutes, seconds] = m.map(n => Number(n || 0));
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+// search.list has no duration or definition; videos.list adds them for 1 quota unit per call
+async function fetchVideoDetails(ids, apiKey, request = {}) {
+  if (ids.length === 0) return {};
+  const url = `https://www.googleapis.com/youtube/v3/videos?part=contentDetails&id=${ids.join(',')}&key=${apiKey}`;
+  try {
+    const response = await providerFetch(provider.id, url, {}, request);
+    if (!response.ok) return {};
+    const data = await response.json();
+    return Object.fromEntries((data.items || []).map(item => [item.id, item.contentDetails || {}]));
+  } catch {
+    return {};
+  }
+}
 
 /**
  * Fetches videos from the YouTube Data API.
  * @param {string} query The search query.
  * @param {string} apiKey The YouTube Data API key.
- * @param {number} offset The offset for pagination (default: 0).
- * @returns {Promise<Array>} A promise that resolves to an array of formatted video results.
+ * @param {number|string} offset 0 for the first page, or the page token returned as next.
+ * @param {object} [options]
+ * @param {number} [options.days] Only videos published within this many days (0 for any time).
+ * @param {object} [options.request] providerFetch options, e.g. a connection test's tag.
+ * @returns {Promise<{results: Array, next: string|null}>} Formatted video results and the
+ *   token of the following page (null when there is none).
  */
-export async function searchYouTube(query, apiKey, offset = 0) {
+export async function searchYouTube(query, apiKey, offset = 0, options = {}) {
   if (!apiKey) {
     console.warn('[YouTube API] API key is missing.');
-    return [];
+    return { results: [], next: null };
   }
 
   // Clean up the query for better API compatibility
   const cleanQuery = query.replace(/[^\w\s]/g, ' ').trim();
-  
+
   // If query is too short or empty, return empty results
   if (!cleanQuery || cleanQuery.length < 2) {
     console.warn('[YouTube API] Query too short or empty');
-    return [];
+    return { results: [], next: null };
+  }
+
+  const params = new URLSearchParams({
+    part: 'snippet',
+    q: cleanQuery,
+    type: 'video',
+    maxResults: String(PAGE_SIZE),
+    order: 'date',
+    key: apiKey
+  });
+  if (options.days > 0) {
+    params.set('publishedAfter', new Date(Date.now() - options.days * 24 * 60 * 60 * 1000).toISOString());
   }
-  
-  // Use offset for pagination - YouTube uses maxResults and we'll adjust based on offset
-  const maxResults = Math.min(20, 50 - offset); // Increase results
-  // Prioritize recent videos - last 7 days
-  const publishedAfter = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-  const url = `https://www.googleapis.com/youtube/v3/search?part=snippet&q=${encodeURIComponent(cleanQuery)}&type=video&maxResults=${maxResults}&key=${apiKey}&order=date&publishedAfter=${publishedAfter}`;
+  if (typeof offset === 'string' && offset) params.set('pageToken', offset);
+  const url = `https://www.googleapis.com/youtube/v3/search?${params}`;
 
   try {
-    const response = await fetch(url);
+    const response = await providerFetch(provider.id, url, {}, options.request);
     if (!response.ok) {
       console.warn(`[YouTube API] Request failed: ${response.status} for query: "${cleanQuery}"`);
-      return [];
+      return { results: [], next: null };
     }
 
     const data = await response.json();
-    
+
     if (!data.items || !Array.isArray(data.items)) {
       console.warn('[YouTube API] No valid results returned');
-      return [];
+      return { results: [], next: null };
     }
-    
-    return data.items.map(item => ({
-      title: cleanHtml(item.snippet.title || ''),
-      url: `https://www.youtube.com/watch?v=${item.id.videoId}`,
-      snippet: cleanHtml(item.snippet.description || ''),
-      source: 'YouTube',
-      publishedAt: item.snippet.publishedAt || new Date().toISOString(),
-      thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.medium?.url || '',
-      author: cleanHtml(item.snippet.channelTitle || ''),
-    }));
+
+    const items = data.items.filter(item => item.id?.videoId);
+    const details = await fetchVideoDetails(items.map(item => item.id.videoId), apiKey, options.request);
+
+    const results = items.map(item => {
+      const videoId = item.id.videoId;
+      const detail = details[videoId] || {};
+      const thumbs = item.snippet.thumbnails || {};
+      return {
+        title: cleanHtml(item.snippet.title || ''),
+        url: `https://www.youtube.com/watch?v=${videoId}`,
+        snippet: cleanHtml(item.snippet.description || ''),
+        source: 'YouTube',
+        publishedAt: item.snippet.publishedAt || null,
+        thumbnail: thumbs.maxres?.url || thumbs.high?.url || thumbs.medium?.url || '',
+        author: cleanHtml(item.snippet.channelTitle || ''),
+        videoId,
+        embedUrl: `https://www.youtube.com/embed/${videoId}`,
+        duration: parseIsoDuration(detail.duration),
+        // YouTube only says whether an HD rendition exists
+        resolution: detail.definition ? detail.definition.toUpperCase() : null,
+        height: detail.definition === 'hd' ? 720 : null
+      };
+    });
+    return { results, next: data.nextPageToken || null };
   } catch (error) {
     console.error('[YouTube API] Search failed:', error.message);
-    return [];
+    return { results: [], next: null };
   }
 }
+
+export const provider = {
+  id: 'YouTube',
+  label: 'YouTube',
+  category: 'videos',
+  requiredKeys: ['youtube'],
+  // search returns { results, next } with an opaque page token
+  pagination: { style: 'token' },
+  rateLimit: { concurrency: 2, minIntervalMs: 0 },
+  configKeys: ['videoFreshnessDays'],
+  search: (query, { apiKeys, offset, config, request }) => searchYouTube(query, apiKeys.youtube, offset, { days: Number(config.videoFreshnessDays || 0), request }),
+  normalize: (raw) => ({ ...raw, pageUrl: raw.url })
+};
@@ -0,0 +1,174 @@
+// background/core/BCache.js
+// Provider result pages cached in IndexedDB, so repeating a query does not re-hit every
+// paid API. Entries older than the TTL are still served and refreshed in the background
+// (stale-while-revalidate); the store is capped in size and evicts least recently used
+// pages first.
+
+const DB_NAME = 'hirezzie-cache';
+const DB_VERSION = 2;
+const PAGES = 'pages';
+// Version 1 also kept per-query dedupe state, now held by search sessions (BSessions)
+const LEGACY_DEDUPE = 'dedupe';
+
+const MAX_CACHE_BYTES = 20 * 1024 * 1024;
+// Stale pages are served for at most this long, after which they count as misses
+const MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PAGES)) {
+                    const pages = db.createObjectStore(PAGES, { keyPath: 'key' });
+                    pages.createIndex('lastAccess', 'lastAccess');
+                }
+                if (db.objectStoreNames.contains(LEGACY_DEDUPE)) db.deleteObjectStore(LEGACY_DEDUPE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let the next call try again rather than caching the failure
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(name, mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(name, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(name));
+    await done;
+    return result;
+}
+
+// "Tokyo Tower" and "tokyo  tower" share cache entries
+function normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Key order must not matter, so objects are serialized with sorted keys
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Builds the cache key for one provider page. Only the searchConfig fields the provider's
+ * request depends on (its descriptor's configKeys) are part of it: filters applied to the
+ * results afterwards, such as minImageMegaPixels, must not cost another API call.
+ * @param {object} descriptor The provider descriptor.
+ * @param {string} query The search query.
+ * @param {number|string} offset The page's offset, page index or token.
+ * @param {object} config The effective searchConfig.
+ * @returns {string}
+ */
+export function pageKey(descriptor, query, offset, config) {
+    const options = {};
+    (descriptor.configKeys || []).forEach(key => { options[key] = config?.[key] ?? null; });
+    return `${descriptor.id}|${normalizeQuery(query)}|${offset}|${stableStringify(options)}`;
+}
+
+async function readPage(key) {
+    return withStore(PAGES, 'readwrite', async (store) => {
+        const entry = await promisify(store.get(key));
+        if (entry) {
+            entry.lastAccess = Date.now();
+            store.put(entry);
+        }
+        return entry || null;
+    });
+}
+
+async function evict() {
+    await withStore(PAGES, 'readwrite', (store) => new Promise((resolve, reject) => {
+        // Walk newest-accessed first and drop everything past the size cap
+        let total = 0;
+        const request = store.index('lastAccess').openCursor(null, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve();
+            const entry = cursor.value;
+            total += entry.size || 0;
+            if (total > MAX_CACHE_BYTES || Date.now() - entry.storedAt > MAX_STALE_MS) cursor.delete();
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+async function writePage(key, page) {
+    const now = Date.now();
+    const size = JSON.stringify(page).length;
+    await withStore(PAGES, 'readwrite', (store) => promisify(store.put({ key, page, storedAt: now, lastAccess: now, size })));
+    await evict();
+}
+
+// Background refreshes already in flight, so one stale page is fetched once
+const revalidating = new Set();
+
+/**
+ * Returns a cached provider page, fetching it on a miss. Pages older than ttlMs are
+ * returned immediately and refreshed in the background. Empty pages are not stored, as
+ * adapters also return them for errors.
+ * @param {string} key From pageKey().
+ * @param {number} ttlMs Freshness window; 0 disables the cache.
+ * @param {boolean} bypass Skip the lookup and fetch fresh, still storing the result.
+ * @param {function(): Promise<{results: Array, next: *}>} fetchPage Loads the page.
+ * @returns {Promise<{results: Array, next: *, cachedAt?: number}>}
+ */
+export async function cachedPage(key, ttlMs, bypass, fetchPage) {
+    if (!(ttlMs > 0)) return fetchPage();
+
+    const store = async () => {
+        const page = await fetchPage();
+        if (page.results.length > 0) {
+            await writePage(key, page).catch(error => console.warn('[BCache] Write failed:', error?.message));
+        }
+        return page;
+    };
+
+    let entry = null;
+    if (!bypass) {
+        entry = await readPage(key).catch(error => {
+            console.warn('[BCache] Read failed:', error?.message);
+            return null;
+        });
+    }
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+    if (!entry || age > MAX_STALE_MS) return store();
+
+    if (age > ttlMs && !revalidating.has(key)) {
+        revalidating.add(key);
+        store()
+            .catch(error => console.warn('[BCache] Refresh failed:', error?.message))
+            .finally(() => revalidating.delete(key));
+    }
+    return { ...entry.page, cachedAt: entry.storedAt };
+}
+
+/**
+ * Removes every cached page.
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+    await withStore(PAGES, 'readwrite', (store) => promisify(store.clear()));
+}
@@ -0,0 +1,162 @@
+// background/core/BCollections.js
+// Named collections of saved results, persisted in chrome.storage.local. Items keep the
+// full result metadata so a collection stays useful after the search that found it.
+import { headCheck, mapWithConcurrency } from '../utils/BUtils.js';
+
+const STORAGE_KEY = 'collections';
+const RECHECK_CONCURRENCY = 4;
+
+// Result fields stored with each item
+const ITEM_FIELDS = [
+    'imageUrl', 'pageUrl', 'thumbnail', 'title', 'width', 'height', 'byteSize', 'mime',
+    'source', 'sourceName', '_source', '_sources', 'license', 'licenseUrl', 'author', 'publishedAt'
+];
+
+// Storage writes are serialized so overlapping messages cannot overwrite each other
+let writeQueue = Promise.resolve();
+
+async function readCollections() {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+function mutate(fn) {
+    const run = writeQueue.then(async () => {
+        const collections = await readCollections();
+        const value = await fn(collections);
+        await chrome.storage.local.set({ [STORAGE_KEY]: collections });
+        return value;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+function findCollection(collections, collectionId) {
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection) throw new Error('Collection not found');
+    return collection;
+}
+
+function findItemIndex(collection, itemId) {
+    const index = collection.items.findIndex(item => item.id === itemId);
+    if (index === -1) throw new Error('Item not found');
+    return index;
+}
+
+function touch(collection) {
+    collection.updatedAt = new Date().toISOString();
+}
+
+export function listCollections() {
+    return readCollections();
+}
+
+export function createCollection(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return Promise.reject(new Error('A collection needs a name'));
+    return mutate((collections) => {
+        const now = new Date().toISOString();
+        const collection = { id: crypto.randomUUID(), name: trimmed, createdAt: now, updatedAt: now, items: [] };
+        collections.push(collection);
+        return collection;
+    });
+}
+
+export function renameCollection(collectionId, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return Promise.reject(new Error('A collection needs a name'));
+    return mutate((collections) => {
+        const collection = findCollection(collections, collectionId);
+        collection.name = trimmed;
+        touch(collection);
+        return collection;
+    });
+}
+
+export function deleteCollection(collectionId) {
+    return mutate((collections) => {
+        const index = collections.findIndex(c => c.id === collectionId);
+        if (index === -1) throw new Error('Collection not found');
+        collections.splice(index, 1);
+        return true;
+    });
+}
+
+/**
+ * Saves a result into a collection. Re-adding an image already in the collection
+ * returns the existing item instead of creating a duplicate.
+ * @param {string} collectionId The target collection.
+ * @param {object} result The search result (imageUrl required).
+ * @param {string} query The query that found it.
+ * @returns {Promise<{item: object, added: boolean}>}
+ */
+export function addToCollection(collectionId, result, query) {
+    if (!result?.imageUrl) return Promise.reject(new Error('Result has no image URL'));
+    return mutate((collections) => {
+        const collection = findCollection(collections, collectionId);
+        const existing = collection.items.find(item => item.imageUrl === result.imageUrl);
+        if (existing) return { item: existing, added: false };
+
+        const item = { id: crypto.randomUUID(), query: query || result._query || '', addedAt: new Date().toISOString(), note: '' };
+        for (const field of ITEM_FIELDS) {
+            if (result[field] !== undefined && result[field] !== null) item[field] = result[field];
+        }
+        collection.items.push(item);
+        touch(collection);
+        return { item, added: true };
+    });
+}
+
+export function removeItem(collectionId, itemId) {
+    return mutate((collections) => {
+        const collection = findCollection(collections, collectionId);
+        collection.items.splice(findItemIndex(collection, itemId), 1);
+        touch(collection);
+        return collection;
+    });
+}
+
+export function moveItem(collectionId, itemId, toIndex) {
+    return mutate((collections) => {
+        const collection = findCollection(collections, collectionId);
+        const [item] = collection.items.splice(findItemIndex(collection, itemId), 1);
+        const target = Math.max(0, Math.min(Number(toIndex) || 0, collection.items.length));
+        collection.items.splice(target, 0, item);
+        touch(collection);
+        return collection;
+    });
+}
+
+export function setItemNote(collectionId, itemId, note) {
+    return mutate((collections) => {
+        const collection = findCollection(collections, collectionId);
+        const item = collection.items[findItemIndex(collection, itemId)];
+        item.note = String(note || '').slice(0, 2000);
+        touch(collection);
+        return item;
+    });
+}
+
+/**
+ * Re-checks every image in a collection with a HEAD request and records the outcome
+ * on each item as linkStatus: { ok, contentType, contentLength, checkedAt }.
+ * @param {string} collectionId The collection to check.
+ * @returns {Promise<object>} The updated collection.
+ */
+export async function recheckCollection(collectionId) {
+    const collection = findCollection(await readCollections(), collectionId);
+    const checks = await mapWithConcurrency(collection.items, RECHECK_CONCURRENCY, async (item) => {
+        const check = await headCheck(item.imageUrl);
+        return { itemId: item.id, status: { ...check, checkedAt: new Date().toISOString() } };
+    });
+
+    // Apply to the latest stored copy so edits made during the check are kept
+    return mutate((collections) => {
+        const latest = findCollection(collections, collectionId);
+        for (const { itemId, status } of checks) {
+            const item = latest.items.find(i => i.id === itemId);
+            if (item) item.linkStatus = status;
+        }
+        return latest;
+    });
+}
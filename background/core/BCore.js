@@ -1,6 +1,17 @@
 // background/core/BCore.js
 import * as BSearch from './BSearch.js';
-import { getSettings } from '../utils/BSettings.js';
+import { testProviders } from './BHealth.js';
+import { downloadImages } from './BDownloads.js';
+import * as BCollections from './BCollections.js';
+import * as BHistory from './BHistory.js';
+import * as BWatchers from './BWatchers.js';
+import * as BSessions from './BSessions.js';
+import { listProviders } from './BProviders.js';
+import { reverseImageSearch } from './BReverse.js';
+import { clearCache } from './BCache.js';
+import { createMenus, resultsUrlForMenuClick } from './BMenus.js';
+import { scanTab } from './BScanner.js';
+import { getSettings, saveSettings, validateSettings } from '../utils/BSettings.js';
 import { fetchOpenGraphData } from '../utils/BUtils.js';
 
 let settings;
@@ -15,62 +26,158 @@ async function initialize() {
 // Kick off settings load and store the promise so listeners can await readiness
 settingsReadyPromise = initialize();
 
+// Reload cached settings whenever they change (options page save or a manual storage edit)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || (!changes.apiKeys && !changes.searchConfig && !changes.downloadConfig && !changes.providerConfig)) return;
+    settingsReadyPromise = initialize();
+});
+
+// Watcher alarms and notification clicks; listeners must be registered at top level
+// so a scheduled run can wake the worker.
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (!BWatchers.isWatcherAlarm(alarm.name)) return;
+    await settingsReadyPromise;
+    try {
+        await BWatchers.runWatcher(BWatchers.watcherIdFromAlarm(alarm.name), settings);
+    } catch (error) {
+        console.error('[BCore] Scheduled watcher run failed:', error);
+    }
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const watcherId = BWatchers.watcherIdFromNotification(notificationId);
+    if (!watcherId) return;
+    chrome.notifications.clear(notificationId);
+    const watcher = (await BWatchers.listWatchers()).find(w => w.id === watcherId);
+    if (!watcher) return;
+    await BWatchers.markWatcherSeen(watcherId);
+    chrome.tabs.create({ url: BWatchers.resultsUrlFor(watcher) });
+});
+
+chrome.runtime.onStartup.addListener(() => BWatchers.syncAlarms());
+chrome.runtime.onInstalled.addListener(() => {
+    BWatchers.syncAlarms();
+    createMenus().catch(error => console.error('[BCore] Could not create context menus:', error));
+});
+
+// Context menu clicks open the results page beside the tab they came from
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const url = resultsUrlForMenuClick(info, tab);
+    if (!url) {
+        console.warn('[BCore] Nothing to search for in context menu click:', info.menuItemId, info.srcUrl?.slice(0, 40));
+        return;
+    }
+    const placement = tab && tab.id >= 0 ? { index: tab.index + 1, openerTabId: tab.id } : {};
+    chrome.tabs.create({ url, ...placement });
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!settings) {
         console.warn('[BCore] Settings not initialized yet; awaiting readyPromise.');
-        settingsReadyPromise.then(() => {
-            // Re-dispatch internally after settings load
-            switch (message.action) {
-                case 'search':
-                    handleSearch(message, sendResponse);
-                    break;
-                case 'load_more':
-                    handleLoadMore(message, sendResponse);
-                    break;
-                case 'fetch_og_data':
-                    handleFetchOgData(message, sendResponse);
-                    break;
-                case 'test_ai_connection':
-                    handleTestAIConnection(sendResponse);
-                    break;
-                default:
-                    sendResponse({ error: 'Unknown action' });
-            }
-        });
+        // Re-dispatch internally after settings load
+        settingsReadyPromise.then(() => routeMessage(message, sender, sendResponse));
         return true; // keep the sendResponse alive
     }
     
+    routeMessage(message, sender, sendResponse);
+    return true; // Indicates that the response is sent asynchronously
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'searchStream' && port.name !== 'downloads') return;
+
+    let closed = false;
+    port.onDisconnect.addListener(() => {
+        closed = true;
+    });
+    port.onMessage.addListener((message) => {
+        if (message.action === 'search_stream') {
+            handleSearchStream(message, port, () => closed);
+        } else if (message.action === 'download_images') {
+            handleDownloadImages(message, port, () => closed);
+        }
+    });
+});
+
+function routeMessage(message, sender, sendResponse) {
     switch (message.action) {
         case 'search':
             handleSearch(message, sendResponse);
             break;
-        case 'search_stream':
-            handleSearchStream(message, sendResponse);
-            break;
         case 'load_more':
             handleLoadMore(message, sendResponse);
             break;
+        case 'search_cancel':
+            handleCancelSearch(message, sendResponse);
+            break;
+        case 'reverse_search':
+            handleReverseSearch(message, sendResponse);
+            break;
+        case 'scan_page':
+            handleScanPage(message, sendResponse);
+            break;
         case 'fetch_og_data':
             handleFetchOgData(message, sendResponse);
             break;
-        case 'test_ai_connection':
-            handleTestAIConnection(sendResponse);
+        case 'test_provider':
+            handleTestProvider(message, sendResponse);
+            break;
+        case 'collections_list':
+        case 'collection_create':
+        case 'collection_rename':
+        case 'collection_delete':
+        case 'collection_add':
+        case 'collection_remove_item':
+        case 'collection_move_item':
+        case 'collection_set_note':
+        case 'collection_recheck':
+            handleCollectionAction(message, sendResponse);
+            break;
+        case 'watchers_list':
+        case 'watcher_create':
+        case 'watcher_update':
+        case 'watcher_delete':
+        case 'watcher_run':
+        case 'watcher_mark_seen':
+            handleWatcherAction(message, sendResponse);
+            break;
+        case 'history_list':
+        case 'history_delete':
+        case 'history_clear':
+            handleHistoryAction(message, sendResponse);
+            break;
+        case 'get_settings':
+            handleGetSettings(sendResponse);
+            break;
+        case 'list_providers':
+            handleListProviders(sendResponse);
+            break;
+        case 'cache_clear':
+            handleClearCache(sendResponse);
+            break;
+        case 'save_settings':
+            handleSaveSettings(message, sendResponse);
             break;
         default:
             console.warn('[BCore] Unknown message action:', message.action);
             sendResponse({ error: 'Unknown action' });
     }
-    
-    return true; // Indicates that the response is sent asynchronously
-});
+}
 
+// Each search runs in its own session; the page passes sessionId back with load_more
 async function handleSearch(message, sendResponse) {
+    let session = null;
     try {
         console.log('[BCore] Starting search for:', message.query, 'categories:', message.categories);
-        const results = await BSearch.performSearch(message.query, message.categories, settings, 0, message.options || {});
+        session = await BSessions.createSession(message.query);
+        const results = await BSearch.performSearch(message.query, message.categories, settings, message.options || {}, session);
         console.log('[BCore] Search completed, results:', results);
-        sendResponse({ data: results });
+        sendResponse({ data: results, sessionId: session.id });
     } catch (error) {
+        if (error.name === 'SearchCancelledError') {
+            sendResponse({ cancelled: true, data: {}, sessionId: session?.id });
+            return;
+        }
         console.error('[BCore] Search failed:', error);
         sendResponse({ error: error.message, data: {} });
     }
@@ -78,13 +185,66 @@ async function handleSearch(message, sendResponse) {
 
 async function handleLoadMore(message, sendResponse) {
     try {
-        console.log('[BCore] Loading more for category:', message.category, 'offset:', message.offset);
-        const results = await BSearch.loadMoreResults(message.query, message.category, settings, message.offset);
-        console.log('[BCore] Load more completed, results:', results);
-        sendResponse({ data: results });
+        const offsets = message.offsets ?? message.offset;
+        console.log('[BCore] Loading more for category:', message.category, 'offsets:', offsets);
+        let session = await BSessions.getSession(message.sessionId);
+        if (!session) {
+            // Pruned, or a page from before sessions existed: page on without the earlier dedupe
+            console.warn('[BCore] Unknown search session, starting a new one:', message.sessionId);
+            session = await BSessions.createSession(message.query);
+        }
+        if (session.cancelled) {
+            sendResponse({ cancelled: true, data: [], offsets: {}, done: true, sessionId: session.id });
+            return;
+        }
+        const page = await BSearch.loadMoreResults(message.query, message.category, settings, offsets, message.options || {}, session);
+        console.log('[BCore] Load more completed, results:', page.results.length);
+        let results = page.results;
+        if (message.historyId) {
+            const previous = await BHistory.getPreviousRun(message.query, message.historyId);
+            results = BHistory.markNewResults(results, previous);
+            await BHistory.appendResults(message.historyId, results.map(r => r.imageUrl));
+        }
+        // done: every provider is exhausted and no held-back results remain
+        sendResponse({ data: results, offsets: page.offsets, done: !page.more, sessionId: session.id });
     } catch (error) {
+        if (error.name === 'SearchCancelledError') {
+            sendResponse({ cancelled: true, data: [], offsets: {}, done: true });
+            return;
+        }
         console.error('[BCore] Load more failed:', error);
-        sendResponse({ error: error.message, data: [] });
+        sendResponse({ error: error.message, data: [], offsets: {}, done: true });
+    }
+}
+
+async function handleCancelSearch(message, sendResponse) {
+    try {
+        const cancelled = await BSessions.cancelSession(message.sessionId);
+        sendResponse({ success: true, data: { cancelled } });
+    } catch (error) {
+        console.error('[BCore] Cancel failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Larger copies of one image, given as imageUrl or (for pasted files) imageData
+async function handleReverseSearch(message, sendResponse) {
+    try {
+        const result = await reverseImageSearch({ imageUrl: message.imageUrl, imageData: message.imageData }, settings, message.options || {});
+        sendResponse({ success: true, data: result });
+    } catch (error) {
+        console.error('[BCore] Reverse search failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleScanPage(message, sendResponse) {
+    try {
+        const result = await scanTab(Number(message.tabId));
+        sendResponse({ success: true, data: result });
+    } catch (error) {
+        console.error('[BCore] Page scan failed:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
@@ -98,29 +258,195 @@ async function handleFetchOgData(message, sendResponse) {
     }
 }
 
-// Streaming variant: sends partial batches back to the caller incrementally
-async function handleSearchStream(message, sendResponse) {
+// Streaming search runs over a long-lived port opened by the results page, so each
+// provider's batch can be posted the moment it lands. Closing the port before 'done'
+// (a new search, or the tab going away) cancels the search's session.
+async function handleSearchStream(message, port, isClosed) {
+    const { query } = message;
+    const post = (payload) => {
+        if (!isClosed()) port.postMessage(payload);
+    };
+
+    let session = null;
+    let finished = false;
+    port.onDisconnect.addListener(() => {
+        if (session && !finished) BSessions.cancelSession(session.id);
+    });
+
     try {
-        const { query, categories } = message;
-        console.log('[BCore] Streaming search for:', query, 'categories:', categories);
-        // Kick off the search but do not await; we will stream via chrome.runtime ports
-        const port = chrome.tabs.connect(message.tabId || sender?.tab?.id, { name: 'searchStream' });
-        (async () => {
-            for (const category of categories) {
-                const batch = await BSearch.performSearch(query, [category], settings, 0);
-                port.postMessage({ category, data: batch[category] || [] });
+        await settingsReadyPromise;
+        console.log('[BCore] Streaming search for:', query);
+        session = await BSessions.createSession(query);
+        if (isClosed()) session.cancelled = true;
+        const previous = await BHistory.getPreviousRun(query);
+        let latest = [];
+        let doneEvent = null;
+        await BSearch.streamImageSearch(query, settings, message.options || {}, session, (event) => {
+            if (event.type === 'batch') {
+                latest = event.images;
+                post({ category: 'images', ...event, images: BHistory.markNewResults(event.images, previous) });
+            } else if (event.type === 'done') {
+                // Held back until the run is recorded so the page gets its history id
+                doneEvent = event;
+            } else {
+                post({ category: 'images', ...event });
             }
-            port.postMessage({ done: true });
-            port.disconnect();
-        })();
-        sendResponse({ ok: true });
+        });
+
+        finished = true;
+        const entry = await BHistory.recordSearch(query, message.options || {}, latest.map(image => image.imageUrl));
+        const newCount = previous ? BHistory.markNewResults(latest, previous).filter(image => image._new).length : null;
+        post({
+            category: 'images',
+            ...doneEvent,
+            historyId: entry.id,
+            previousRunAt: previous?.timestamp ?? null,
+            newCount
+        });
     } catch (error) {
+        if (error.name === 'SearchCancelledError') {
+            console.log('[BCore] Streaming search cancelled:', query);
+            return;
+        }
         console.error('[BCore] Streaming search failed:', error);
-        sendResponse({ error: error.message });
+        post({ type: 'error', error: error.message });
     }
 }
 
-function handleTestAIConnection(sendResponse) {
-    // For now, return that AI is not available
-    sendResponse({ connected: false, reason: 'AI not configured' });
+// Downloads keep going if the page closes; progress is only posted while it is listening
+async function handleDownloadImages(message, port, isClosed) {
+    const post = (payload) => {
+        if (!isClosed()) port.postMessage(payload);
+    };
+
+    try {
+        await settingsReadyPromise;
+        await downloadImages(message.images || [], {
+            query: message.query || '',
+            downloadConfig: settings.downloadConfig
+        }, post);
+    } catch (error) {
+        console.error('[BCore] Download batch failed:', error);
+        post({ type: 'error', error: error.message });
+    }
+}
+
+const COLLECTION_ACTIONS = {
+    collections_list: () => BCollections.listCollections(),
+    collection_create: (m) => BCollections.createCollection(m.name),
+    collection_rename: (m) => BCollections.renameCollection(m.collectionId, m.name),
+    collection_delete: (m) => BCollections.deleteCollection(m.collectionId),
+    collection_add: (m) => BCollections.addToCollection(m.collectionId, m.result, m.query),
+    collection_remove_item: (m) => BCollections.removeItem(m.collectionId, m.itemId),
+    collection_move_item: (m) => BCollections.moveItem(m.collectionId, m.itemId, m.toIndex),
+    collection_set_note: (m) => BCollections.setItemNote(m.collectionId, m.itemId, m.note),
+    collection_recheck: (m) => BCollections.recheckCollection(m.collectionId)
+};
+
+async function handleCollectionAction(message, sendResponse) {
+    try {
+        const data = await COLLECTION_ACTIONS[message.action](message);
+        sendResponse({ success: true, data });
+    } catch (error) {
+        console.error(`[BCore] ${message.action} failed:`, error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+const WATCHER_ACTIONS = {
+    watchers_list: () => BWatchers.listWatchers(),
+    watcher_create: async (m) => {
+        const watcher = await BWatchers.createWatcher(m.query, m.options, m.intervalMinutes);
+        // Record the baseline now rather than one interval later
+        BWatchers.runWatcher(watcher.id, settings).catch(error => {
+            console.error('[BCore] Baseline watcher run failed:', error);
+        });
+        return watcher;
+    },
+    watcher_update: (m) => BWatchers.updateWatcher(m.watcherId, m.changes),
+    watcher_delete: (m) => BWatchers.deleteWatcher(m.watcherId),
+    watcher_run: (m) => BWatchers.runWatcher(m.watcherId, settings),
+    watcher_mark_seen: (m) => BWatchers.markWatcherSeen(m.watcherId)
+};
+
+async function handleWatcherAction(message, sendResponse) {
+    try {
+        const data = await WATCHER_ACTIONS[message.action](message);
+        sendResponse({ success: true, data });
+    } catch (error) {
+        console.error(`[BCore] ${message.action} failed:`, error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+const HISTORY_ACTIONS = {
+    history_list: () => BHistory.listHistory(),
+    history_delete: (m) => BHistory.deleteEntry(m.entryId),
+    history_clear: () => BHistory.clearHistory()
+};
+
+async function handleHistoryAction(message, sendResponse) {
+    try {
+        const data = await HISTORY_ACTIONS[message.action](message);
+        sendResponse({ success: true, data });
+    } catch (error) {
+        console.error(`[BCore] ${message.action} failed:`, error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleTestProvider(message, sendResponse) {
+    try {
+        const reports = await testProviders(settings, message.provider);
+        sendResponse({ data: reports });
+    } catch (error) {
+        console.error('[BCore] Provider test failed:', error);
+        sendResponse({ error: error.message, data: [] });
+    }
+}
+
+function handleGetSettings(sendResponse) {
+    sendResponse({ data: settings });
+}
+
+async function handleListProviders(sendResponse) {
+    try {
+        sendResponse({ data: await listProviders(settings) });
+    } catch (error) {
+        console.error('[BCore] Failed to list providers:', error);
+        sendResponse({ error: error.message, data: [] });
+    }
+}
+
+async function handleClearCache(sendResponse) {
+    try {
+        await clearCache();
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('[BCore] Failed to clear cache:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleSaveSettings(message, sendResponse) {
+    const errors = validateSettings(message.settings);
+    if (errors.length > 0) {
+        sendResponse({ success: false, errors });
+        return;
+    }
+    try {
+        await saveSettings({
+            apiKeys: message.settings.apiKeys,
+            searchConfig: message.settings.searchConfig,
+            downloadConfig: message.settings.downloadConfig,
+            providerConfig: message.settings.providerConfig || {}
+        });
+        // Reload now rather than waiting for onChanged or a worker restart
+        settingsReadyPromise = initialize();
+        await settingsReadyPromise;
+        sendResponse({ success: true, data: settings });
+    } catch (error) {
+        console.error('[BCore] Failed to save settings:', error);
+        sendResponse({ success: false, errors: [{ field: null, message: error.message }] });
+    }
 }
@@ -0,0 +1,203 @@
+// background/core/BDownloads.js
+// Batch downloads of full-resolution originals through chrome.downloads, with templated
+// filenames, duplicate skipping and optional JSON provenance sidecars.
+import { getDomain, mapWithConcurrency } from '../utils/BUtils.js';
+
+const DOWNLOAD_CONCURRENCY = 3;
+// A download that receives no bytes for this long is cancelled and reported as timed out
+const STALL_TIMEOUT_MS = 60_000;
+// Progress is also polled, since an onChanged event missed across a worker restart never repeats
+const POLL_INTERVAL_MS = 5_000;
+const MAX_SEGMENT_LENGTH = 80;
+
+// Fields copied into the sidecar so a saved file can be traced back to where it was found
+const PROVENANCE_FIELDS = [
+    'title', 'imageUrl', 'pageUrl', 'source', 'sourceName', '_source', '_sources',
+    'width', 'height', 'byteSize', 'mime', 'license', 'licenseUrl', 'author', 'publishedAt', '_score'
+];
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+// Strip characters Chrome rejects in download paths and keep each path segment short
+function sanitizeSegment(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u001f\\/:*?"<>|~]+/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+|\.+$/g, '')
+        .slice(0, MAX_SEGMENT_LENGTH)
+        .trim();
+}
+
+function extensionFor(image) {
+    if (MIME_EXTENSIONS[image.mime]) return MIME_EXTENSIONS[image.mime];
+    try {
+        const m = new URL(image.imageUrl).pathname.match(/\.(jpe?g|png|webp|avif)$/i);
+        if (m) return m[1].toLowerCase().replace('jpeg', 'jpg');
+    } catch { /* fall through */ }
+    return 'jpg';
+}
+
+/**
+ * Expands a filename template for one image. Tokens that have no value collapse to
+ * "unknown"; "/" in the template creates folders below the Downloads directory.
+ * @param {string} template e.g. 'hiREZZIE/{query}/{index}-{domain}-{width}x{height}'.
+ * @param {object} image The result object.
+ * @param {{query: string, index: number, total: number}} context Batch context.
+ * @returns {string} A relative path including the file extension.
+ */
+export function buildFilename(template, image, context) {
+    const pad = String(context.total || 1).length;
+    const values = {
+        query: context.query,
+        domain: getDomain(image.pageUrl || image.imageUrl),
+        width: image.width,
+        height: image.height,
+        index: String(context.index).padStart(Math.max(3, pad), '0'),
+        title: image.title,
+        provider: image._source,
+        date: new Date().toISOString().slice(0, 10)
+    };
+    const path = template
+        .split('/')
+        .map(segment => sanitizeSegment(segment.replace(/\{(\w+)\}/g, (_, token) => {
+            const value = values[token];
+            return value === undefined || value === null || value === '' ? 'unknown' : String(value);
+        })))
+        .filter(Boolean)
+        .join('/');
+    return `${path || `hiREZZIE-${values.index}`}.${extensionFor(image)}`;
+}
+
+function buildSidecar(image, query) {
+    const record = { query, downloadedAt: new Date().toISOString() };
+    for (const field of PROVENANCE_FIELDS) {
+        if (image[field] !== undefined && image[field] !== null) record[field] = image[field];
+    }
+    return JSON.stringify(record, null, 2);
+}
+
+// Resolves once Chrome reports the download finished or was interrupted, or once it has
+// made no progress for STALL_TIMEOUT_MS, in which case it is cancelled
+function waitForDownload(downloadId) {
+    return new Promise((resolve) => {
+        let settled = false;
+        let lastBytes = -1;
+        let lastProgress = Date.now();
+        const finish = (outcome) => {
+            settled = true;
+            clearInterval(poller);
+            chrome.downloads.onChanged.removeListener(listener);
+            resolve(outcome);
+        };
+        const settle = (state, error) => {
+            if (settled || (state !== 'complete' && state !== 'interrupted')) return;
+            finish(state === 'complete' ? { ok: true } : { ok: false, error: error || 'Interrupted' });
+        };
+        const listener = (delta) => {
+            if (delta.id === downloadId && delta.state) settle(delta.state.current, delta.error?.current);
+        };
+        const poll = async () => {
+            const [item] = await chrome.downloads.search({ id: downloadId }).catch(() => []);
+            if (settled) return;
+            if (!item) {
+                finish({ ok: false, error: 'The download disappeared from Chrome\'s download list.' });
+                return;
+            }
+            settle(item.state, item.error);
+            if (settled) return;
+            if (item.bytesReceived !== lastBytes) {
+                lastBytes = item.bytesReceived;
+                lastProgress = Date.now();
+            } else if (Date.now() - lastProgress >= STALL_TIMEOUT_MS) {
+                chrome.downloads.cancel(downloadId).catch(() => {});
+                finish({ ok: false, error: `Timed out: no data received for ${STALL_TIMEOUT_MS / 1000}s.` });
+            }
+        };
+        const poller = setInterval(poll, POLL_INTERVAL_MS);
+        chrome.downloads.onChanged.addListener(listener);
+        // Small files can finish before the listener is attached
+        poll();
+    });
+}
+
+async function alreadyDownloaded(url) {
+    const existing = await chrome.downloads.search({ url, state: 'complete', exists: true, limit: 1 });
+    return existing.length > 0;
+}
+
+async function downloadOne(image, filename, query, writeSidecar) {
+    const downloadId = await chrome.downloads.download({
+        url: image.imageUrl,
+        filename,
+        conflictAction: 'uniquify',
+        saveAs: false
+    });
+    const outcome = await waitForDownload(downloadId);
+    if (!outcome.ok) return outcome;
+
+    if (writeSidecar) {
+        const json = buildSidecar(image, query);
+        await chrome.downloads.download({
+            url: `data:application/json;charset=utf-8,${encodeURIComponent(json)}`,
+            filename: filename.replace(/\.[a-z0-9]+$/i, '.json'),
+            conflictAction: 'uniquify',
+            saveAs: false
+        });
+    }
+    return { ok: true };
+}
+
+/**
+ * Downloads a batch of images, reporting each item's status as it changes.
+ * @param {Array} images Result objects to save (imageUrl required).
+ * @param {{query: string, downloadConfig: object}} options Batch options.
+ * @param {function(object): void} onProgress Receives {type: 'item', index, status, ...} and a final {type: 'done', summary}.
+ */
+export async function downloadImages(images, { query, downloadConfig }, onProgress) {
+    const template = downloadConfig?.filenameTemplate || 'hiREZZIE/{query}/{index}';
+    const summary = { complete: 0, skipped: 0, failed: 0 };
+    const seen = new Set();
+
+    const report = (index, status, extra = {}) => onProgress({ type: 'item', index, status, ...extra });
+
+    await mapWithConcurrency(images, DOWNLOAD_CONCURRENCY, async (image, index) => {
+        const url = image?.imageUrl;
+
+        if (!url || seen.has(url)) {
+            summary.skipped += 1;
+            report(index, 'skipped', { reason: 'duplicate' });
+            return;
+        }
+        seen.add(url);
+
+        try {
+            if (await alreadyDownloaded(url)) {
+                summary.skipped += 1;
+                report(index, 'skipped', { reason: 'already downloaded' });
+                return;
+            }
+            const filename = buildFilename(template, image, { query, index: index + 1, total: images.length });
+            report(index, 'downloading', { filename });
+            const outcome = await downloadOne(image, filename, query, Boolean(downloadConfig?.writeSidecar));
+            if (outcome.ok) {
+                summary.complete += 1;
+                report(index, 'complete', { filename });
+            } else {
+                summary.failed += 1;
+                report(index, 'failed', { error: outcome.error });
+            }
+        } catch (error) {
+            summary.failed += 1;
+            report(index, 'failed', { error: error.message });
+        }
+    });
+
+    onProgress({ type: 'done', summary });
+}
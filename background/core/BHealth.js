@@ -0,0 +1,142 @@
+// background/core/BHealth.js
+// Per-provider connection tests. Each test runs the provider's own search path (the
+// descriptor's search, through runProvider and providerFetch) for one page of a query that
+// always has results, and reports status, latency, quota headers and a classified error,
+// so a broken key can be told apart from an adapter whose source changed its format.
+import { getProviders, isProviderConfigured, runProvider } from './BProviders.js';
+import { onProviderResponse } from '../utils/BUtils.js';
+
+const PROBE_QUERY = 'test';
+// Image looked up by reverse search providers: small and long-lived
+const PROBE_IMAGE_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a9/Example.jpg/320px-Example.jpg';
+
+// Where each provider's API puts its error message, keyed by provider id
+const ERROR_MESSAGES = {
+    SerpApi: (body) => body?.error,
+    GoogleLens: (body) => body?.error,
+    GoogleCSE: (body) => body?.error?.message,
+    Brave: (body) => body?.error?.detail,
+    Wikimedia: (body) => body?.error?.info,
+    Openverse: (body) => body?.detail,
+    Flickr: (body) => body?.message,
+    Reddit: (body) => body?.message,
+    Unsplash: (body) => (Array.isArray(body?.errors) ? body.errors.join(' ') : body?.errors),
+    Pexels: (body) => body?.error,
+    YouTube: (body) => body?.error?.message,
+    Vimeo: (body) => body?.developer_message || body?.error,
+    GNews: (body) => (Array.isArray(body?.errors) ? body.errors.join(' ') : body?.errors),
+    NewsAPIOrg: (body) => body?.message
+};
+
+// Errors some APIs answer with HTTP 200, e.g. Flickr's stat "fail" for a bad key
+const BODY_ERRORS = {
+    Flickr: (body) => (body?.stat === 'fail' ? body.message || 'Request failed.' : null)
+};
+
+// Rate-limit/quota headers worth surfacing, e.g. x-ratelimit-remaining, x-ratelimit-reset
+function collectQuotaHeaders(headers) {
+    const quota = {};
+    headers.forEach((value, name) => {
+        if (/rate-?limit|quota|remaining|retry-after/i.test(name)) quota[name.toLowerCase()] = value;
+    });
+    return quota;
+}
+
+function classifyHttpError(status, message) {
+    const text = (message || '').toLowerCase();
+    if (status === 429 || /quota|limit exceeded|rate limit|too many/.test(text)) return 'quota_exceeded';
+    // Only key-specific wording: "invalid page token" and the like are not about the key
+    if (status === 401 || status === 403
+        || /api[ _-]?key|invalid key|keyinvalid|unauthori[sz]ed|invalid (?:access |auth |oauth |bearer )?token|(?:access|auth|bearer) token (?:is )?(?:invalid|expired|revoked)/.test(text)) {
+        return 'bad_key';
+    }
+    if (status >= 500) return 'server_error';
+    return 'http_error';
+}
+
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// The failed request if any, else the last one; null when the adapter made no request
+function decisiveEvent(events) {
+    return events.find(event => event.error || !event.response.ok) || events[events.length - 1] || null;
+}
+
+async function runProbe(descriptor, settings) {
+    const base = { provider: descriptor.id, label: descriptor.label };
+
+    if (!isProviderConfigured(descriptor, settings.apiKeys)) {
+        return { ...base, status: 'skipped', error: { kind: 'missing_key', message: 'No API key configured.' } };
+    }
+
+    const query = descriptor.category === 'reverse' ? PROBE_IMAGE_URL : PROBE_QUERY;
+    // cacheTtlMinutes 0 keeps the test off the result cache in both directions
+    const config = { ...settings.searchConfig, cacheTtlMinutes: 0 };
+    // Searches running at the same time share the provider id; only this probe's requests count
+    const tag = crypto.randomUUID();
+    const events = [];
+    const stopListening = onProviderResponse(descriptor.id, event => {
+        if (event.tag === tag) events.push(event);
+    });
+    const started = Date.now();
+    let page;
+    try {
+        page = await runProvider(descriptor, query, 0, settings, config, null, { tag });
+    } finally {
+        stopListening();
+    }
+    const latencyMs = Date.now() - started;
+
+    const event = decisiveEvent(events);
+    if (!event) {
+        return { ...base, status: 'error', latencyMs, error: { kind: 'http_error', message: 'The provider made no request.' } };
+    }
+    if (event.error) {
+        const { error } = event;
+        let kind = 'network';
+        if (error.name === 'QuotaExceededError') kind = 'quota_exceeded';
+        else if (/^No response within/.test(error.message || '')) kind = 'timeout';
+        return { ...base, status: 'error', latencyMs, error: { kind, message: error.message || 'Network error.' } };
+    }
+
+    const { response } = event;
+    const quota = collectQuotaHeaders(response.headers);
+    const body = parseBody(await response.text().catch(() => ''));
+    const report = { ...base, httpStatus: response.status, latencyMs, quota };
+
+    if (!response.ok) {
+        const message = ERROR_MESSAGES[descriptor.id]?.(body) || `HTTP ${response.status}`;
+        return { ...report, status: 'error', error: { kind: classifyHttpError(response.status, message), message } };
+    }
+
+    const bodyError = BODY_ERRORS[descriptor.id]?.(body);
+    if (bodyError) {
+        return { ...report, status: 'error', error: { kind: classifyHttpError(response.status, bodyError), message: bodyError } };
+    }
+
+    // The probe query always has matches, so an empty page means the adapter no longer understands the answer
+    if (page.results.length === 0) {
+        return { ...report, status: 'error', error: { kind: 'parse_failure', message: 'The provider answered, but no results could be read from it.' } };
+    }
+
+    return { ...report, status: 'ok', resultCount: page.results.length };
+}
+
+/**
+ * Tests one provider, or every provider when no id is given.
+ * @param {object} settings The extension settings; the API keys and searchConfig are used.
+ * @param {string} [providerId] Optional provider id, e.g. 'SerpApi'.
+ * @returns {Promise<Array>} One report per provider tested.
+ */
+export async function testProviders(settings, providerId) {
+    const providers = getProviders().filter(descriptor => !providerId || descriptor.id === providerId);
+    if (providerId && providers.length === 0) {
+        throw new Error(`Unknown provider: ${providerId}`);
+    }
+    return Promise.all(providers.map(descriptor => runProbe(descriptor, settings)));
+}
@@ -0,0 +1,115 @@
+// background/core/BHistory.js
+// Search history persisted in chrome.storage.local. Each run keeps the image URLs it
+// returned, so the next run of the same query can flag which results are new.
+
+const STORAGE_KEY = 'searchHistory';
+const MAX_ENTRIES = 50;
+const MAX_URLS_PER_ENTRY = 500;
+
+// Storage writes are serialized so overlapping messages cannot overwrite each other
+let writeQueue = Promise.resolve();
+
+async function readHistory() {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+function mutate(fn) {
+    const run = writeQueue.then(async () => {
+        const entries = await readHistory();
+        const value = await fn(entries);
+        await chrome.storage.local.set({ [STORAGE_KEY]: entries });
+        return value;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+// Runs of "Tokyo Tower" and "tokyo  tower" are the same search
+function normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function uniqueUrls(urls) {
+    return [...new Set((urls || []).filter(Boolean))];
+}
+
+/**
+ * Lists past searches, newest first. Image URL sets are left out to keep the
+ * message small; imageCount says how many were stored.
+ * @returns {Promise<Array<{id, query, options, timestamp, resultCount, imageCount}>>}
+ */
+export async function listHistory() {
+    const entries = await readHistory();
+    return entries.map(({ imageUrls, ...entry }) => ({ ...entry, imageCount: imageUrls.length }));
+}
+
+/**
+ * Finds the most recent earlier run of a query.
+ * @param {string} query The search query.
+ * @param {string} [excludeId] An entry to skip, normally the run in progress.
+ * @returns {Promise<object|null>} The full entry including imageUrls, or null.
+ */
+export async function getPreviousRun(query, excludeId) {
+    const key = normalizeQuery(query);
+    const entries = await readHistory();
+    return entries.find(entry => entry.id !== excludeId && normalizeQuery(entry.query) === key) || null;
+}
+
+export function recordSearch(query, options, imageUrls) {
+    return mutate((entries) => {
+        const urls = uniqueUrls(imageUrls);
+        const entry = {
+            id: crypto.randomUUID(),
+            query: String(query || '').trim(),
+            options: options || {},
+            timestamp: new Date().toISOString(),
+            resultCount: urls.length,
+            imageUrls: urls.slice(0, MAX_URLS_PER_ENTRY)
+        };
+        entries.unshift(entry);
+        entries.splice(MAX_ENTRIES);
+        return entry;
+    });
+}
+
+// Pages loaded after the first batch belong to the same run
+export function appendResults(entryId, imageUrls) {
+    return mutate((entries) => {
+        const entry = entries.find(e => e.id === entryId);
+        if (!entry) return null;
+        const urls = uniqueUrls([...entry.imageUrls, ...imageUrls]);
+        entry.resultCount = Math.max(entry.resultCount, urls.length);
+        entry.imageUrls = urls.slice(0, MAX_URLS_PER_ENTRY);
+        return entry;
+    });
+}
+
+export function deleteEntry(entryId) {
+    return mutate((entries) => {
+        const index = entries.findIndex(e => e.id === entryId);
+        if (index === -1) throw new Error('History entry not found');
+        entries.splice(index, 1);
+        return true;
+    });
+}
+
+export function clearHistory() {
+    return mutate((entries) => {
+        entries.length = 0;
+        return true;
+    });
+}
+
+/**
+ * Flags results missing from a previous run with _new. Without a previous run
+ * nothing is flagged, since every result would count as new.
+ * @param {Array} images Result objects.
+ * @param {object|null} previous The entry returned by getPreviousRun.
+ * @returns {Array} The same results, copied where _new is set.
+ */
+export function markNewResults(images, previous) {
+    if (!previous) return images;
+    const seen = new Set(previous.imageUrls);
+    return images.map(image => (seen.has(image.imageUrl) ? image : { ...image, _new: true }));
+}
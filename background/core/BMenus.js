@@ -0,0 +1,61 @@
+// background/core/BMenus.js
+// Right-click entries: "Find higher resolution of this image" on page images,
+// "Search hiREZZIE for …" on selected text and "Scan this page for hi-res images" on the
+// page itself. Each opens the results page next to the current tab, in reverse-search,
+// query or page-scan mode.
+
+const FIND_HIRES_ID = 'hirezzie-find-hires';
+const SEARCH_SELECTION_ID = 'hirezzie-search-selection';
+const SCAN_PAGE_ID = 'hirezzie-scan-page';
+
+// Selections longer than this are trimmed rather than sent as a whole paragraph
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Registers the context menu entries. Chrome keeps them across worker restarts, so this
+ * only needs to run when the extension is installed or updated.
+ * @returns {Promise<void>}
+ */
+export async function createMenus() {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({
+        id: FIND_HIRES_ID,
+        title: 'Find higher resolution of this image',
+        contexts: ['image']
+    });
+    chrome.contextMenus.create({
+        id: SEARCH_SELECTION_ID,
+        title: 'Search hiREZZIE for “%s”',
+        contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+        id: SCAN_PAGE_ID,
+        title: 'Scan this page for hi-res images',
+        contexts: ['page'],
+        documentUrlPatterns: ['http://*/*', 'https://*/*']
+    });
+}
+
+/**
+ * Builds the results page URL for a context menu click.
+ * @param {object} info The chrome.contextMenus.OnClickData.
+ * @param {object} [tab] The tab the click came from; needed to scan it.
+ * @returns {string|null} Null when the click has nothing to search for, e.g. an inline
+ *   data: image, which is too large for a URL parameter.
+ */
+export function resultsUrlForMenuClick(info, tab) {
+    if (info.menuItemId === FIND_HIRES_ID) {
+        if (!/^https?:\/\//i.test(info.srcUrl || '')) return null;
+        return chrome.runtime.getURL(`results.html?${new URLSearchParams({ image: info.srcUrl })}`);
+    }
+    if (info.menuItemId === SEARCH_SELECTION_ID) {
+        const query = (info.selectionText || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+        if (!query) return null;
+        return chrome.runtime.getURL(`results.html?${new URLSearchParams({ q: query, cat: 'images' })}`);
+    }
+    if (info.menuItemId === SCAN_PAGE_ID) {
+        if (!(tab?.id >= 0)) return null;
+        return chrome.runtime.getURL(`results.html?${new URLSearchParams({ scan: String(tab.id) })}`);
+    }
+    return null;
+}
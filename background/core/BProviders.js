@@ -0,0 +1,185 @@
+// background/core/BProviders.js
+// Registry of search providers. Each adapter in background/api exports a `provider`
+// descriptor; adding a source means writing that module and listing it here.
+//
+// Descriptor fields:
+//   id            Stable id, used for offsets, _source tags and settings keys.
+//   label         Display name.
+//   category      'images', 'videos', 'news' or 'reverse'. Reverse providers look up an image:
+//                 their query is its URL.
+//   requiredKeys  Paths under settings.apiKeys that must be set, e.g. 'googleImages.cx'.
+//   paid          Optional; paid providers only run when usePaidImageAPIs is on.
+//   pagination    { style: 'offset' | 'page' | 'token', next?(offset, received) }. With next,
+//                 search returns an array and next gives the following offset (null when
+//                 done); without it, search returns { results, next } itself.
+//   rateLimit     { concurrency, minIntervalMs } applied by providerFetch to every request.
+//   configKeys    Optional; the searchConfig fields search sends to the API, e.g.
+//                 'videoFreshnessDays'. Cached pages are keyed by these alone.
+//   dailyQuota    Optional default for the user's daily request cap, e.g. a free tier's limit.
+//   experimental  Optional; built on an undocumented endpoint that may change without notice.
+//                 Off until the user turns it on.
+//   acceptsUpload Optional; a reverse provider that can take the image file itself.
+//   search        (query, { apiKeys, offset, config, upload }) → Array | { results, next }.
+//                 upload is a Blob, given to acceptsUpload providers for pasted files.
+//   normalize     (raw) → result in the category's shape.
+import { provider as serpApi } from '../api/serpApi.js';
+import { provider as googleCSE } from '../api/googleImages.js';
+import { provider as bing } from '../api/bing.js';
+import { provider as brave } from '../api/brave.js';
+import { provider as wikimedia } from '../api/wikimedia.js';
+import { provider as openverse } from '../api/openverse.js';
+import { provider as flickr } from '../api/flickr.js';
+import { provider as duckduckgo } from '../api/duckduckgo.js';
+import { provider as reddit } from '../api/reddit.js';
+import { provider as unsplash } from '../api/unsplash.js';
+import { provider as pexels } from '../api/pexels.js';
+import { provider as youtube } from '../api/youtube.js';
+import { provider as vimeo } from '../api/vimeo.js';
+import { provider as dailymotion } from '../api/dailymotion.js';
+import { provider as gnews } from '../api/gnews.js';
+import { provider as newsApiOrg } from '../api/news.js';
+import { provider as googleLens } from '../api/googleLens.js';
+import { provider as bingVisual } from '../api/bingVisual.js';
+import { cachedPage, pageKey } from './BCache.js';
+import { configureProvider, getProviderUsage } from '../utils/BUtils.js';
+
+// Order matters: providers are queried and listed in this order
+const PROVIDERS = [
+    serpApi, googleCSE, bing, brave, wikimedia, openverse, flickr, duckduckgo,
+    reddit, unsplash, pexels,
+    youtube, vimeo, dailymotion,
+    gnews, newsApiOrg,
+    googleLens, bingVisual
+];
+
+// Policies come from the descriptors up front, so a fetch made before a provider's first
+// search (a connection test, say) already runs under its rate limit
+PROVIDERS.forEach(descriptor => configureProvider(descriptor.id, { rateLimit: descriptor.rateLimit }));
+
+export const DEFAULT_PROVIDER_WEIGHT = 1;
+
+function getPath(obj, path) {
+    return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+/**
+ * Whether every API key a provider needs is set.
+ * @param {object} descriptor The provider descriptor.
+ * @param {object} apiKeys settings.apiKeys.
+ * @returns {boolean}
+ */
+export function isProviderConfigured(descriptor, apiKeys) {
+    return descriptor.requiredKeys.every(path => Boolean(getPath(apiKeys || {}, path)));
+}
+
+/**
+ * A provider's user settings, with defaults for providers the user never touched.
+ * @param {object} settings The extension settings.
+ * @param {object} descriptor The provider descriptor.
+ * @returns {{enabled: boolean, weight: number, dailyLimit: number}} dailyLimit 0 means no cap.
+ */
+export function getProviderSettings(settings, descriptor) {
+    const stored = settings?.providerConfig?.[descriptor.id] || {};
+    return {
+        enabled: stored.enabled === undefined ? !descriptor.experimental : stored.enabled !== false,
+        weight: typeof stored.weight === 'number' ? stored.weight : DEFAULT_PROVIDER_WEIGHT,
+        dailyLimit: typeof stored.dailyLimit === 'number' ? stored.dailyLimit : (descriptor.dailyQuota || 0)
+    };
+}
+
+/**
+ * Providers that will run for a category: enabled in settings, keys present and,
+ * for paid ones, paid APIs allowed by the effective searchConfig.
+ * @param {string} category 'images', 'videos', 'news' or 'reverse'.
+ * @param {object} settings The extension settings.
+ * @param {object} config The effective searchConfig.
+ * @returns {Array<object>} Descriptors in registry order.
+ */
+export function getEnabledProviders(category, settings, config) {
+    const usePaid = config.usePaidImageAPIs !== false;
+    return PROVIDERS.filter(descriptor => descriptor.category === category
+        && getProviderSettings(settings, descriptor).enabled
+        && (!descriptor.paid || usePaid)
+        && isProviderConfigured(descriptor, settings.apiKeys));
+}
+
+async function fetchPage(descriptor, query, offset, settings, config, upload, request) {
+    try {
+        const page = await descriptor.search(query, { apiKeys: settings.apiKeys, offset, config, upload, request });
+        const raw = Array.isArray(page) ? page : (page?.results || []);
+        let next;
+        if (descriptor.pagination.next) next = raw.length > 0 ? descriptor.pagination.next(offset, raw.length) : null;
+        // Adapters that filter their answer can come back empty with more pages to go
+        else next = page?.next ?? null;
+        return { results: raw.map(r => descriptor.normalize(r)), next };
+    } catch (error) {
+        console.warn(`[BProviders] ${descriptor.id} failed:`, error?.message);
+        return { results: [], next: null };
+    }
+}
+
+/**
+ * Runs one page of a provider under its request policy, through the result cache.
+ * Errors are logged and reported as an empty, exhausted page so one broken source
+ * never fails the whole search.
+ * @param {object} descriptor The provider descriptor.
+ * @param {string} query The search query.
+ * @param {number|string} offset This page's offset, page index or token.
+ * @param {object} settings The extension settings.
+ * @param {object} config The effective searchConfig (cacheTtlMinutes, bypassCache).
+ * @param {Blob} [upload] An image file for reverse providers; such pages are never cached.
+ * @param {object} [request] Options the adapter passes to providerFetch; a tag set here comes
+ *   back on this page's onProviderResponse events.
+ * @returns {Promise<{results: Array, next: number|string|null}>} Normalized results tagged
+ *   with _source and _weight (and _cachedAt when served from the cache), and the next
+ *   offset (null once exhausted).
+ */
+export async function runProvider(descriptor, query, offset, settings, config, upload = null, request = {}) {
+    const { weight, dailyLimit } = getProviderSettings(settings, descriptor);
+    configureProvider(descriptor.id, { rateLimit: descriptor.rateLimit, dailyLimit });
+
+    const ttlMs = upload ? 0 : Number(config.cacheTtlMinutes || 0) * 60 * 1000;
+    const page = await cachedPage(
+        pageKey(descriptor, query, offset, config),
+        ttlMs,
+        Boolean(config.bypassCache),
+        () => fetchPage(descriptor, query, offset, settings, config, upload, request)
+    );
+    const cacheTag = page.cachedAt ? { _cachedAt: page.cachedAt } : {};
+    const results = page.results.map(r => ({ ...r, _source: descriptor.id, _weight: weight, ...cacheTag }));
+    return { results, next: page.next };
+}
+
+/**
+ * Describes every registered provider for the settings page.
+ * @param {object} settings The extension settings.
+ * @returns {Promise<Array<{id, label, category, paid, experimental, acceptsUpload, requiredKeys, configured,
+ *   enabled, weight, dailyLimit, usedToday}>>}
+ */
+export async function listProviders(settings) {
+    const usage = await getProviderUsage();
+    return PROVIDERS.map(descriptor => ({
+        id: descriptor.id,
+        label: descriptor.label,
+        category: descriptor.category,
+        paid: Boolean(descriptor.paid),
+        experimental: Boolean(descriptor.experimental),
+        acceptsUpload: Boolean(descriptor.acceptsUpload),
+        requiredKeys: descriptor.requiredKeys,
+        configured: isProviderConfigured(descriptor, settings.apiKeys),
+        ...getProviderSettings(settings, descriptor),
+        usedToday: usage[descriptor.id] || 0
+    }));
+}
+
+export function getProviderIds() {
+    return PROVIDERS.map(descriptor => descriptor.id);
+}
+
+/**
+ * Every registered provider descriptor, in registry order.
+ * @returns {Array<object>}
+ */
+export function getProviders() {
+    return PROVIDERS.slice();
+}
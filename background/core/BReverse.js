@@ -0,0 +1,153 @@
+// background/core/BReverse.js
+// Reverse image search: given one picture (a URL or a pasted file), find larger copies of
+// it. Reverse providers (category 'reverse' in BProviders) return pages showing the image
+// or look-alikes; each candidate is then compared with the source by perceptual hash so
+// only copies of the same picture remain, ranked by pixel count.
+import { getEnabledProviders, getProviders, getProviderSettings, isProviderConfigured, runProvider } from './BProviders.js';
+import { buildSearchConfig } from './BSearch.js';
+import { computeImageHash, hashImageBlob, hammingDistance } from '../utils/BImageHash.js';
+import { probeImage } from '../utils/BImageInfo.js';
+import { mapWithConcurrency } from '../utils/BUtils.js';
+
+// Looser than BTrust's clustering: copies may be re-compressed, watermarked or lightly cropped
+const MATCH_DISTANCE = 10;
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const CANDIDATE_LIMIT = 120;
+const PROBE_CONCURRENCY = 6;
+
+// "data:image/png;base64,...." → Blob, decoded here rather than through fetch
+function dataUrlToBlob(dataUrl) {
+    const m = /^data:(image\/[\w.+-]+)([^,]*),(.*)$/is.exec(dataUrl || '');
+    if (!m) throw new Error('The pasted file is not an image.');
+    const [, type, params, data] = m;
+    const base64 = /;base64$/i.test(params);
+    // Checked before decoding: base64 takes 4 characters per 3 bytes
+    const size = base64 ? Math.floor(data.length * 3 / 4) : data.length;
+    if (size > MAX_UPLOAD_BYTES) throw new Error('The image is too large to look up (15 MB at most).');
+    try {
+        const bytes = base64 ? Uint8Array.from(atob(data), c => c.charCodeAt(0)) : new TextEncoder().encode(decodeURIComponent(data));
+        return new Blob([bytes], { type });
+    } catch {
+        throw new Error('The pasted file could not be read as an image.');
+    }
+}
+
+// Why a pasted, dropped or chosen file cannot be looked up, naming the providers that could
+function uploadUnavailableMessage() {
+    const uploaders = getProviders().filter(provider => provider.category === 'reverse' && provider.acceptsUpload);
+    if (uploaders.length === 0) return 'Image files cannot be looked up; search by the image\'s URL instead.';
+    const labels = uploaders.map(provider => provider.label).join(' or ');
+    const experimental = uploaders.some(provider => provider.experimental) ? ' (experimental sources are off by default)' : '';
+    return `Image files can only be looked up with ${labels}, which is turned off${experimental}. `
+        + 'Turn it on in Settings, or search by the image\'s URL instead.';
+}
+
+// What it takes to get each reverse provider running, e.g. with default settings, where
+// Google Lens needs a SerpApi key and paid APIs and Bing Visual Search is off
+function reverseUnavailableMessage(settings, config) {
+    const steps = getProviders().filter(provider => provider.category === 'reverse').map(provider => {
+        const needs = [];
+        if (!isProviderConfigured(provider, settings.apiKeys)) needs.push('add its API key');
+        if (provider.paid && config.usePaidImageAPIs === false) needs.push('turn on "Use paid image APIs"');
+        if (!getProviderSettings(settings, provider).enabled) needs.push(provider.experimental ? 'turn it on (it is experimental)' : 'turn it on');
+        return needs.length > 0 ? `for ${provider.label}, ${needs.join(' and ')}` : null;
+    }).filter(Boolean);
+    if (steps.length === 0) return 'No reverse search provider is available.';
+    return `No reverse search provider is enabled. In Settings, ${steps.join('; or ')}.`;
+}
+
+// Size and hash of the picture being looked up
+async function describeSource(imageUrl, upload) {
+    if (upload) {
+        const { hash, width, height } = await hashImageBlob(upload).catch(() => {
+            throw new Error('The pasted file could not be read as an image.');
+        });
+        return { imageUrl: null, width, height, byteSize: upload.size, hash };
+    }
+    const [probe, hash] = await Promise.all([probeImage(imageUrl), computeImageHash(imageUrl)]);
+    // Hosts that block hotlinking still let providers look the URL up; matches just go uncompared
+    if (!probe.ok && !hash) console.warn(`[BReverse] Could not load the source image: ${probe.error || 'unknown error'}`);
+    return {
+        imageUrl,
+        width: probe.width || null,
+        height: probe.height || null,
+        byteSize: probe.byteSize || null,
+        hash
+    };
+}
+
+function pixelCount(result) {
+    return (Number(result.width || 0) * Number(result.height || 0)) || 0;
+}
+
+/**
+ * Looks for larger copies of one image.
+ * @param {{imageUrl?: string, imageData?: string}} input The image as a URL, or as a data URL
+ *   when the user pasted or dropped a file.
+ * @param {object} settings The extension settings.
+ * @param {object} options Per-search searchConfig overrides (usePaidImageAPIs, bypassCache).
+ * @returns {Promise<{source: {imageUrl: string|null, width: number|null, height: number|null,
+ *   byteSize: number|null}, providers: Array<string>, results: Array}>} Matches, largest
+ *   first. Each has _hashDistance (null when it could not be compared), _larger, and
+ *   category 'images' so it renders like any image result.
+ */
+export async function reverseImageSearch(input, settings, options = {}) {
+    const config = buildSearchConfig(settings, options);
+    const upload = input.imageData ? dataUrlToBlob(input.imageData) : null;
+    const imageUrl = upload ? '' : String(input.imageUrl || '').trim();
+    if (!upload && !/^https?:\/\//i.test(imageUrl)) throw new Error('Enter an http(s) image URL.');
+
+    const providers = getEnabledProviders('reverse', settings, config)
+        .filter(provider => !upload || provider.acceptsUpload);
+    if (providers.length === 0) {
+        throw new Error(upload ? uploadUnavailableMessage() : reverseUnavailableMessage(settings, config));
+    }
+    const source = await describeSource(imageUrl, upload);
+    console.log(`[BReverse] Looking up ${upload ? 'an uploaded image' : imageUrl} with ${providers.map(p => p.id).join(', ')}`);
+
+    // Uploads are keyed by their hash so log lines and cache keys stay short
+    const query = upload ? `upload:${source.hash || upload.size}` : imageUrl;
+    const pages = await Promise.all(providers.map(provider => runProvider(provider, query, 0, settings, config, upload)));
+
+    // One candidate per image URL; a copy any provider calls exact stays exact
+    const byUrl = new Map();
+    for (const result of pages.flatMap(page => page.results)) {
+        const key = result.imageUrl.toLowerCase();
+        if (key === imageUrl.toLowerCase()) continue;
+        const current = byUrl.get(key);
+        if (!current) {
+            byUrl.set(key, { ...result, category: 'images', _sources: [result._source] });
+            continue;
+        }
+        if (!current._sources.includes(result._source)) current._sources.push(result._source);
+        current._exact = current._exact || result._exact;
+        if (!current.width && result.width) Object.assign(current, { width: result.width, height: result.height });
+    }
+    const candidates = Array.from(byUrl.values()).slice(0, CANDIDATE_LIMIT);
+
+    await mapWithConcurrency(candidates, PROBE_CONCURRENCY, async (candidate) => {
+        if (!(candidate.width > 0 && candidate.height > 0)) {
+            const probe = await probeImage(candidate.imageUrl);
+            if (probe.width && probe.height) {
+                candidate.width = probe.width;
+                candidate.height = probe.height;
+                candidate._verified = true;
+            }
+            if (probe.byteSize) candidate.byteSize = probe.byteSize;
+        }
+        const hash = source.hash ? await computeImageHash(candidate.thumbnail || candidate.imageUrl) : null;
+        const distance = hammingDistance(source.hash, hash);
+        candidate._hashDistance = Number.isFinite(distance) ? distance : null;
+    });
+
+    // Compared copies must look like the source; uncompared ones are kept only if a provider vouched for them
+    const sourcePixels = pixelCount(source);
+    const results = candidates
+        .filter(candidate => (candidate._hashDistance === null ? candidate._exact : candidate._hashDistance <= MATCH_DISTANCE))
+        .map(candidate => ({ ...candidate, _larger: sourcePixels > 0 && pixelCount(candidate) > sourcePixels }))
+        .sort((a, b) => pixelCount(b) - pixelCount(a));
+
+    console.log(`[BReverse] ${results.length} of ${candidates.length} candidates match, ${results.filter(r => r._larger).length} larger`);
+    const { hash, ...sourceInfo } = source;
+    return { source: sourceInfo, providers: providers.map(p => p.id), results };
+}
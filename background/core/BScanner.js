@@ -0,0 +1,168 @@
+// background/core/BScanner.js
+// Page scanner: lists every image on a tab at its largest available source. A function is
+// injected into the page to collect each <img> with its srcset, <picture> sources,
+// lazy-load attributes and enclosing link; the worker then probes the candidates for
+// their real dimensions and keeps the largest one per image.
+import { parseSrcset, getDomain, mapWithConcurrency } from '../utils/BUtils.js';
+import { probeImage } from '../utils/BImageInfo.js';
+import { upgradeCandidates } from '../utils/BUpgrade.js';
+
+const PROBE_CONCURRENCY = 6;
+const MAX_PROBES = 200;
+// Icons, spacers and avatars are left out
+const MIN_SIDE = 100;
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|webp|avif)(?:[?#]|$)/i;
+
+// Runs in the scanned page, so it must not reference anything outside itself
+function collectPageImages() {
+    const LAZY_ATTRIBUTES = [
+        'data-src', 'data-original', 'data-lazy-src', 'data-lazy', 'data-full', 'data-full-src',
+        'data-large', 'data-large_image', 'data-large-file', 'data-orig-file', 'data-zoom-image', 'data-hi-res-src'
+    ];
+    const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lazy-srcset'];
+    const srcsetsOf = (el) => SRCSET_ATTRIBUTES.map(name => el.getAttribute(name)).filter(Boolean);
+
+    const images = Array.from(document.querySelectorAll('img')).map(img => {
+        const picture = img.closest('picture');
+        const link = img.closest('a[href]');
+        return {
+            alt: img.alt || img.title || '',
+            src: img.getAttribute('src') || '',
+            currentSrc: img.currentSrc || '',
+            naturalWidth: img.naturalWidth || 0,
+            naturalHeight: img.naturalHeight || 0,
+            srcsets: [
+                ...srcsetsOf(img),
+                ...(picture ? Array.from(picture.querySelectorAll('source')).flatMap(srcsetsOf) : [])
+            ],
+            lazy: LAZY_ATTRIBUTES.map(name => img.getAttribute(name)).filter(Boolean),
+            link: link ? link.href : ''
+        };
+    });
+    return {
+        url: location.href,
+        title: document.title,
+        baseUrl: document.baseURI,
+        ogImage: document.querySelector('meta[property="og:image"], meta[name="og:image"]')?.content || '',
+        images
+    };
+}
+
+function resolve(url, base) {
+    if (!url) return null;
+    try {
+        const resolved = new URL(url, base).toString();
+        return /^https?:\/\//i.test(resolved) ? resolved : null;
+    } catch {
+        return null;
+    }
+}
+
+// Every URL one <img> could be loaded from, with the width its srcset declares (if any)
+function candidatesFor(image, base) {
+    const candidates = new Map();
+    const add = (url, width = null) => {
+        const resolved = resolve(url, base);
+        if (!resolved) return;
+        candidates.set(resolved, Math.max(candidates.get(resolved) || 0, width || 0) || null);
+    };
+    add(image.currentSrc);
+    add(image.src);
+    image.lazy.forEach(url => add(url));
+    image.srcsets.forEach(srcset => parseSrcset(srcset, base).forEach(c => add(c.url, c.width)));
+    // Gallery thumbnails usually link to the original
+    if (IMAGE_EXTENSION.test(image.link)) add(image.link);
+    // Originals of resized CDN variants; probed last, as they declare no width
+    Array.from(candidates.keys()).forEach(url => upgradeCandidates(url).forEach(c => add(c.url)));
+    return candidates;
+}
+
+function pixelCount(result) {
+    return (Number(result.width || 0) * Number(result.height || 0)) || 0;
+}
+
+/**
+ * Scans a tab for images and upgrades each to its largest available source.
+ * @param {number} tabId The tab to scan.
+ * @returns {Promise<{page: {url: string, title: string}, results: Array}>} One result per
+ *   distinct image, largest first, in the shape of an image search result. _upgradedFrom is
+ *   set when a larger source than the one displayed was found; _verified when the size
+ *   comes from the file itself rather than the page.
+ */
+export async function scanTab(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!/^https?:\/\//i.test(tab.url || '')) {
+        throw new Error('Only web pages (http or https) can be scanned.');
+    }
+
+    const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func: collectPageImages });
+    const scan = injection?.result;
+    if (!scan) throw new Error('Could not read the page.');
+
+    const images = scan.images.map(image => ({ image, candidates: candidatesFor(image, scan.baseUrl) }));
+    const ogImage = resolve(scan.ogImage, scan.baseUrl);
+    if (ogImage) {
+        images.push({
+            image: { alt: scan.title, src: '', currentSrc: '', naturalWidth: 0, naturalHeight: 0 },
+            candidates: new Map([[ogImage, null]])
+        });
+    }
+
+    // Probe each distinct URL once; declared-largest candidates first, so the cap cuts the least useful
+    const byDeclaredWidth = images
+        .flatMap(({ candidates }) => Array.from(candidates.entries()))
+        .sort((a, b) => (b[1] || 0) - (a[1] || 0))
+        .map(([url]) => url);
+    const toProbe = Array.from(new Set(byDeclaredWidth)).slice(0, MAX_PROBES);
+    const probes = new Map();
+    await mapWithConcurrency(toProbe, PROBE_CONCURRENCY, async (url) => {
+        probes.set(url, await probeImage(url));
+    });
+    console.log(`[BScanner] ${scan.images.length} images on ${scan.url}, probed ${toProbe.length} sources`);
+
+    const byUrl = new Map();
+    for (const { image, candidates } of images) {
+        const displayed = resolve(image.currentSrc || image.src, scan.baseUrl);
+        let best = null;
+        for (const [url, declaredWidth] of candidates) {
+            const probe = probes.get(url);
+            if (probe && !probe.ok) continue;
+            const verified = Boolean(probe?.width && probe?.height);
+            const option = verified
+                ? { url, width: probe.width, height: probe.height, byteSize: probe.byteSize || null, mime: probe.mime || null, verified }
+                : {
+                    url,
+                    width: declaredWidth || (url === displayed ? image.naturalWidth : 0) || null,
+                    height: url === displayed && !declaredWidth ? image.naturalHeight || null : null,
+                    verified
+                };
+            if (!best || pixelCount(option) > pixelCount(best) || (!best.width && option.width > 0)) best = option;
+        }
+        if (!best) continue;
+        if ((best.width && best.width < MIN_SIDE) || (best.height && best.height < MIN_SIDE)) continue;
+
+        const key = best.url.toLowerCase();
+        if (byUrl.has(key)) continue;
+        byUrl.set(key, {
+            category: 'images',
+            title: image.alt || '',
+            url: best.url,
+            imageUrl: best.url,
+            pageUrl: scan.url,
+            source: getDomain(scan.url),
+            thumbnail: displayed || best.url,
+            width: best.width,
+            height: best.height,
+            byteSize: best.byteSize || null,
+            mime: best.mime || null,
+            _source: 'PageScan',
+            _verified: best.verified,
+            _upgradedFrom: displayed && displayed !== best.url ? displayed : null
+        });
+    }
+
+    const results = Array.from(byUrl.values()).sort((a, b) => pixelCount(b) - pixelCount(a));
+    console.log(`[BScanner] ${results.length} images kept, ${results.filter(r => r._upgradedFrom).length} upgraded`);
+    return { page: { url: scan.url, title: scan.title }, results };
+}
@@ -1,148 +1,572 @@
 // background/core/BSearch.js
-import { searchGoogleImages } from '../api/googleImages.js';
-import { searchSerpApiImages } from '../api/serpApi.js';
-import { searchBingImages } from '../api/bing.js';
-import { searchBraveImages } from '../api/brave.js';
+import { filterAndScoreResults, dedupeArticlesByStory } from './BTrust.js';
+import { getEnabledProviders, runProvider } from './BProviders.js';
+import { createTransientSession, saveSession, cancelledError } from './BSessions.js';
+import { mapWithConcurrency, fetchOpenGraphData } from '../utils/BUtils.js';
+import { probeImage } from '../utils/BImageInfo.js';
+import { computeImageHash } from '../utils/BImageHash.js';
+import { upgradeImage } from '../utils/BUpgrade.js';
 
-let seenImages = new Set();
+// searchConfig fields a single search may override through message.options
+const OVERRIDABLE_CONFIG_KEYS = [
+    'minImageMegaPixels', 'requireAllTerms', 'maxResultsPerCategory', 'usePaidImageAPIs',
+    'videoFreshnessDays', 'videoSort', 'newsFreshnessDays', 'bypassCache'
+];
 
-function resetCache() {
-    seenImages.clear();
+// Words that carry no meaning when every term has to match
+const STOP_WORDS = new Set(['a', 'an', 'and', 'or', 'the', 'of', 'in', 'on', 'at', 'for', 'with', 'vs', '&']);
+
+/**
+ * The searchConfig for one search: saved settings with the allowed per-search overrides applied.
+ * @param {object} settings The extension settings.
+ * @param {object} options Overrides from message.options; null and undefined are ignored.
+ * @returns {object}
+ */
+export function buildSearchConfig(settings, options = {}) {
+    const config = { ...settings.searchConfig };
+    for (const key of OVERRIDABLE_CONFIG_KEYS) {
+        if (options[key] !== undefined && options[key] !== null) config[key] = options[key];
+    }
+    return config;
+}
+
+function getQueryTerms(query) {
+    return query
+        .toLowerCase()
+        .split(/\s+/)
+        .map(term => term.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+function matchesAllTerms(result, terms) {
+    if (terms.length === 0) return true;
+    let pageUrl = result.pageUrl || result.contextLink || '';
+    try { pageUrl = decodeURIComponent(pageUrl); } catch { /* keep raw URL */ }
+    const hay = `${result.title || ''} ${result.snippet || ''} ${pageUrl.replace(/[-_./+=?&]/g, ' ')}`.toLowerCase();
+    return terms.every(term => hay.includes(term));
 }
 
-function isValidImage(result) {
+const IMAGE_EXTENSION = /\.(jpg|jpeg|png|webp|avif)(\?|#|$)/i;
+const IMAGE_MIME = /^image\/(jpeg|png|webp|avif)$/i;
+
+function isValidImage(result, config) {
     const imageUrl = result.imageUrl || result.url;
     if (!imageUrl) return false;
-    if (!imageUrl.match(/\.(jpg|jpeg|png|webp|avif)(\?|#|$)/i)) return false;
+    // Extension-less CDN URLs (Unsplash's ?fm=jpg) pass when the provider or a probe gave the type
+    if (!IMAGE_EXTENSION.test(imageUrl) && !IMAGE_MIME.test(result.mime || '')) return false;
     
-    // SMART HI-RES: Focus on actual photo quality
     const w = Number(result.width || 0);
     const h = Number(result.height || 0);
     const bytes = Number(result.byteSize || 0);
     
-    // High-res means: decent resolution OR substantial file size OR unknown (let it through)
-    const goodResolution = (w >= 1000) || (h >= 1000);
-    const goodFileSize = bytes >= 500_000; // 500KB+ suggests quality
-    const unknownSize = (w === 0 && h === 0) || (bytes === 0); // Don't filter unknowns
-    
     // Block obvious thumbnails/icons
     const tooSmall = (w > 0 && w < 300) || (h > 0 && h < 300);
     const tinyFile = (bytes > 0 && bytes < 50_000); // Under 50KB is likely thumbnail
     
     if (tooSmall || tinyFile) return false;
     
-    return goodResolution || goodFileSize || unknownSize;
-}
-
-async function searchImages(query, apiKeys, offset = 0) {
-    console.log(`[BSearch] Searching images for: "${query}"`);
-    
-    const promises = [];
-    
-    // SerpApi Google Images
-    if (apiKeys.serpApi) {
-        promises.push(
-            searchSerpApiImages(query, apiKeys.serpApi, offset)
-                .then(results => results.map(r => ({ ...r, _source: 'SerpApi' })))
-                .catch(() => [])
-        );
-    }
-    
-    // Google Custom Search
-    if (apiKeys.googleImages?.apiKey && apiKeys.googleImages?.cx) {
-        promises.push(
-            searchGoogleImages(query, apiKeys.googleImages.apiKey, apiKeys.googleImages.cx, offset)
-                .then(results => results.map(r => ({ ...r, _source: 'GoogleCSE' })))
-                .catch(() => [])
-        );
+    // Known dimensions must clear the configured megapixel floor
+    if (w > 0 && h > 0) {
+        const minPixels = Number(config.minImageMegaPixels || 0) * 1_000_000;
+        return w * h >= minPixels;
     }
     
-    // Bing Images
-    promises.push(
-        searchBingImages(query, offset)
-            .then(results => results.map(r => ({ ...r, _source: 'Bing' })))
-            .catch(() => [])
-    );
-
-    // Brave Images
-    if (apiKeys.brave) {
-        promises.push(
-            searchBraveImages(query, apiKeys.brave, offset)
-                .then(results => results.map(r => ({ ...r, _source: 'Brave' })))
-                .catch(() => [])
-        );
-    }
+    // Unknown dimensions: let it through until verifyImageSizes probes the file
+    return true;
+}
+
+// Header probes per page: enough to cover a page of unknown-size results without stalling it
+const VERIFY_CONCURRENCY = 6;
+const VERIFY_LIMIT = 60;
+
+/**
+ * Probes images whose providers reported no dimensions, records the real size and drops
+ * those that turn out to be below the megapixel floor or not bitmap images at all.
+ * Probes that time out or fail on the network keep the image (unverified).
+ * @param {Array} images Accepted image results.
+ * @param {object} config The effective searchConfig.
+ * @returns {Promise<Array>} The images that survived verification.
+ */
+async function verifyImageSizes(images, config) {
+    const unknown = images
+        .filter(image => !(Number(image.width) > 0 && Number(image.height) > 0))
+        .slice(0, VERIFY_LIMIT);
+    if (unknown.length === 0) return images;
     
-    const results = await Promise.allSettled(promises);
-    const allImages = results
-        .filter(r => r.status === 'fulfilled')
-        .flatMap(r => r.value);
+    const rejected = new Set();
+    await mapWithConcurrency(unknown, VERIFY_CONCURRENCY, async (image) => {
+        const probe = await probeImage(image.imageUrl);
+        if (!probe.ok) {
+            if (probe.status || probe.mime) rejected.add(image);
+            return;
+        }
+        if (probe.mime) image.mime = probe.mime;
+        if (probe.byteSize) image.byteSize = probe.byteSize;
+        if (probe.width && probe.height) {
+            image.width = probe.width;
+            image.height = probe.height;
+            image._verified = true;
+        }
+        if (!isValidImage(image, config)) rejected.add(image);
+    });
     
-    console.log(`[BSearch] Found ${allImages.length} raw images`);
+    console.log(`[BSearch] Verified ${unknown.length} unknown-size images, dropped ${rejected.size}`);
+    return images.filter(image => !rejected.has(image));
+}
+
+// Originals looked for per page; each image costs one probe per candidate URL
+const UPGRADE_CONCURRENCY = 6;
+const UPGRADE_LIMIT = 60;
+
+/**
+ * Swaps resized CDN variants for their original upload where a probe confirms it is larger
+ * (see BUpgrade). Runs after verifyImageSizes, so the images' own sizes are mostly known.
+ * @param {Array} images Accepted image results; only the first UPGRADE_LIMIT are tried.
+ * @param {object} config The effective searchConfig; upgradeImageUrls false skips this.
+ * @returns {Promise<Array>} The same images, some with a new imageUrl and _upgradedFrom.
+ */
+async function upgradeImageUrls(images, config) {
+    if (config.upgradeImageUrls === false) return images;
+    let upgraded = 0;
+    await mapWithConcurrency(images.slice(0, UPGRADE_LIMIT), UPGRADE_CONCURRENCY, async (image) => {
+        if (await upgradeImage(image)) upgraded += 1;
+    });
+    if (upgraded > 0) console.log(`[BSearch] Upgraded ${upgraded} images to their original size`);
+    return images;
+}
+
+// Thumbnails hashed per page for near-duplicate clustering
+const HASH_CONCURRENCY = 6;
+const HASH_LIMIT = 80;
+
+/**
+ * Sets a perceptual hash (_dhash) on each image so BTrust can cluster near-identical copies.
+ * The provider thumbnail is hashed where there is one, as the original can be many megabytes.
+ * @param {Array} images Accepted image results; only the first HASH_LIMIT are hashed.
+ * @param {object} config The effective searchConfig; perceptualDedupe false skips hashing.
+ * @returns {Promise<Array>} The same images.
+ */
+async function attachImageHashes(images, config) {
+    if (config.perceptualDedupe === false) return images;
+    await mapWithConcurrency(images.slice(0, HASH_LIMIT), HASH_CONCURRENCY, async (image) => {
+        image._dhash = await computeImageHash(image.thumbnail || image.imageUrl);
+    });
+    return images;
+}
+
+/**
+ * Fetches one page from every enabled provider of a category that still has results.
+ * @param {string} category 'images', 'videos' or 'news'.
+ * @param {string} query The search query.
+ * @param {object} settings The extension settings.
+ * @param {number|Object<string, number|string>} offsets One offset for all providers, or a map
+ *   of provider id to its next offset; providers missing from the map are treated as exhausted.
+ * @param {object} config The effective searchConfig.
+ * @param {object} session The search session; throws a SearchCancelledError once it is cancelled.
+ * @returns {Promise<{results: Array, offsets: Object<string, number|string>}>} Normalized
+ *   results and the offsets of each provider's next page (exhausted providers are omitted).
+ */
+async function searchProviders(category, query, settings, offsets, config, session) {
+    const providers = getEnabledProviders(category, settings, config)
+        .filter(provider => typeof offsets === 'number' || offsets[provider.id] !== undefined);
+    const offsetFor = (provider) => (typeof offsets === 'number' ? offsets : offsets[provider.id]);
+    if (session.cancelled) throw cancelledError();
+    const pages = await Promise.all(providers.map(provider => runProvider(provider, query, offsetFor(provider), settings, config)));
+    // Requests already in flight are not aborted, but nothing more is done with them
+    if (session.cancelled) throw cancelledError();
     
-    // Simple deduplication and validation
+    const nextOffsets = {};
+    providers.forEach((provider, i) => {
+        if (pages[i].next !== null) nextOffsets[provider.id] = pages[i].next;
+    });
+    return { results: pages.flatMap(page => page.results), offsets: nextOffsets };
+}
+
+// Keeps the valid provider results not returned earlier in this search; takePage marks them seen
+function acceptImages(rawImages, query, config, seen) {
+    const terms = config.requireAllTerms ? getQueryTerms(query) : [];
     const validImages = [];
-    for (const image of allImages) {
-        if (!image.imageUrl) image.imageUrl = image.url;
-        if (!image.thumbnail) image.thumbnail = image.imageUrl;
+    for (const image of rawImages) {
+        image.category = 'images';
+        image._query = query;
         
         const imageUrl = image.imageUrl?.toLowerCase();
-        if (!imageUrl || seenImages.has(imageUrl)) continue;
+        if (!imageUrl || seen.has(imageUrl)) continue;
         
-        if (isValidImage(image)) {
-            seenImages.add(imageUrl);
+        if (isValidImage(image, config) && matchesAllTerms(image, terms)) {
             validImages.push(image);
         }
     }
+    return validImages;
+}
+
+// The key a returned result is remembered by in session.seen, per category
+const SEEN_KEYS = {
+    images: (result) => (result.imageUrl || result.url).toLowerCase().trim(),
+    videos: (result) => `${result._source}:${result.videoId || result.url}`.toLowerCase(),
+    news: (result) => result.url.toLowerCase().trim()
+};
+
+/**
+ * Hands out one page of a ranked list. Only the results handed out are marked seen; the
+ * rest are held in the session and lead the next load_more, so the maxResults cut never
+ * loses a result for good.
+ * @param {Array} ranked Every result of this round, best first, including held ones.
+ * @param {string} category 'images', 'videos' or 'news'.
+ * @param {object} config The effective searchConfig (maxResultsPerCategory).
+ * @param {object} session The search session.
+ * @returns {Array} The page.
+ */
+function takePage(ranked, category, config, session) {
+    const maxResults = Number(config.maxResultsPerCategory || 0);
+    const page = maxResults > 0 ? ranked.slice(0, maxResults) : ranked;
+    session.pending[category] = maxResults > 0 ? ranked.slice(maxResults) : [];
+    page.forEach(result => session.seen[category].add(SEEN_KEYS[category](result)));
+    return page;
+}
+
+// Results an earlier page had no room for; they compete with this round's for a place
+function takePending(category, session) {
+    const pending = session.pending[category];
+    session.pending[category] = [];
+    return pending;
+}
+
+/**
+ * Whether load_more still has something to give: a provider with more pages, or results
+ * held back from an earlier page.
+ * @param {Object<string, number|string>} offsets Next offsets by provider id.
+ * @param {string} category 'images', 'videos' or 'news'.
+ * @param {object} session The search session.
+ * @returns {boolean}
+ */
+export function hasMoreResults(offsets, category, session) {
+    return Object.keys(offsets || {}).length > 0 || session.pending[category].length > 0;
+}
+
+/**
+ * Fetches one page of images from every provider that still has results.
+ * @param {string} query The search query.
+ * @param {object} settings The extension settings.
+ * @param {number|Object<string, number>} offsets One offset for all providers, or a map of
+ *   provider id to its next offset; providers missing from the map are treated as exhausted.
+ * @param {object} config The effective searchConfig.
+ * @param {object} session The search session whose earlier images are skipped.
+ * @returns {Promise<{images: Array, offsets: Object<string, number>}>} Ranked images and the
+ *   offsets of each provider's next page (exhausted providers are omitted).
+ */
+async function searchImages(query, settings, offsets, config, session) {
+    console.log(`[BSearch] Searching images for: "${query}"`);
+    
+    const { results: allImages, offsets: nextOffsets } = await searchProviders('images', query, settings, offsets, config, session);
+    
+    console.log(`[BSearch] Found ${allImages.length} raw images`);
+    
+    // Simple deduplication and validation
+    const validImages = await verifyImageSizes(acceptImages(allImages, query, config, session.seen.images), config);
+    await upgradeImageUrls(validImages, config);
+    await attachImageHashes(validImages, config);
     
     console.log(`[BSearch] ${validImages.length} valid images after filtering`);
     
-    // Sort by quality: prioritize known large images, then file size, then unknown sizes
-    validImages.sort((a, b) => {
-        const aPixels = (Number(a.width || 0) * Number(a.height || 0)) || 0;
-        const bPixels = (Number(b.width || 0) * Number(b.height || 0)) || 0;
-        const aBytes = Number(a.byteSize || 0);
-        const bBytes = Number(b.byteSize || 0);
-        
-        // Massive quality boost for 2MP+ images
-        const aQuality = aPixels >= 2_000_000 ? aPixels + 10_000_000 : aPixels;
-        const bQuality = bPixels >= 2_000_000 ? bPixels + 10_000_000 : bPixels;
+    // Collapse cross-provider and near-identical duplicates and rank with an explainable _score
+    const ranked = filterAndScoreResults([...takePending('images', session), ...validImages], 0, new Set(session.seen.images));
+    return { images: takePage(ranked, 'images', config, session), offsets: nextOffsets };
+}
+
+// Re-uploads of one clip on another platform share a title and (to the second or two) a duration
+function videoSignature(video) {
+    const title = (video.title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (!title) return `${video._source}:${video.url}`;
+    const seconds = video.duration ? Math.round(video.duration / 3) : '?';
+    return `${title}|${seconds}`;
+}
+
+/**
+ * Collapses duplicate videos, keeping the highest-resolution copy. Exact duplicates are
+ * the same provider video id; cross-platform copies match on title and duration.
+ * Videos already returned earlier in this search are dropped.
+ * @param {Array} videos Normalized video results.
+ * @param {Set<string>} seen Provider video ids returned earlier in the session.
+ * @returns {Array} One result per distinct video, in first-seen order.
+ */
+function dedupeVideos(videos, seen) {
+    const bySignature = new Map();
+    const ids = new Set();
+    for (const video of videos) {
+        const idKey = SEEN_KEYS.videos(video);
+        if (seen.has(idKey) || ids.has(idKey)) continue;
+        ids.add(idKey);
         
-        // If similar quality, prefer larger file size
-        if (Math.abs(aQuality - bQuality) < 500_000) {
-            return bBytes - aBytes;
+        // Videos held from an earlier page already carry their merged sources
+        const videoSources = video._sources || [video._source];
+        const signature = videoSignature(video);
+        const current = bySignature.get(signature);
+        if (!current) {
+            bySignature.set(signature, { ...video, _sources: videoSources });
+            continue;
         }
+        const sources = [...current._sources, ...videoSources.filter(source => !current._sources.includes(source))];
+        const better = Number(video.height || 0) > Number(current.height || 0) ? video : current;
+        bySignature.set(signature, { ...better, _sources: sources });
+    }
+    return Array.from(bySignature.values());
+}
+
+function compareVideos(a, b, sort) {
+    const recency = Date.parse(b.publishedAt || 0) - Date.parse(a.publishedAt || 0);
+    if (sort === 'resolution') {
+        const heightDiff = Number(b.height || 0) - Number(a.height || 0);
+        return heightDiff !== 0 ? heightDiff : recency;
+    }
+    return recency;
+}
+
+/**
+ * Fetches one page of videos from every provider that still has results.
+ * @param {string} query The search query.
+ * @param {object} settings The extension settings.
+ * @param {number|Object<string, number|string>} offsets 0 for the first page, or a map of
+ *   provider id to its next page (a page index or, for YouTube, a page token).
+ * @param {object} config The effective searchConfig (videoFreshnessDays, videoSort).
+ * @param {object} session The search session whose earlier videos are skipped.
+ * @returns {Promise<{videos: Array, offsets: Object<string, number|string>}>}
+ */
+async function searchVideos(query, settings, offsets, config, session) {
+    console.log(`[BSearch] Searching videos for: "${query}"`);
+    
+    const page = await searchProviders('videos', query, settings, offsets, config, session);
+    const terms = config.requireAllTerms ? getQueryTerms(query) : [];
+    const candidates = page.results
+        .filter(video => video.url && matchesAllTerms(video, terms))
+        .map(video => ({ ...video, category: 'videos', _query: query }));
+    
+    const videos = dedupeVideos([...takePending('videos', session), ...candidates], session.seen.videos)
+        .sort((a, b) => compareVideos(a, b, config.videoSort));
+    console.log(`[BSearch] ${videos.length} videos after dedupe`);
+    return { videos: takePage(videos, 'videos', config, session), offsets: page.offsets };
+}
+
+// Article pages fetched per search for their lead image
+const LEAD_IMAGE_CONCURRENCY = 4;
+const LEAD_IMAGE_LIMIT = 30;
+
+/**
+ * Replaces each article's provider thumbnail with the largest lead image on the article
+ * page (og:image or a larger srcset rendition of it), then probes images whose size the
+ * page did not declare. Articles keep the provider image when the page has nothing better.
+ * @param {Array} articles Ranked articles; only the first LEAD_IMAGE_LIMIT are fetched.
+ */
+async function attachLeadImages(articles) {
+    await mapWithConcurrency(articles.slice(0, LEAD_IMAGE_LIMIT), LEAD_IMAGE_CONCURRENCY, async (article) => {
+        const og = await fetchOpenGraphData(article.url);
+        const lead = og && !og.error ? og.leadImage : null;
+        if (lead?.url) {
+            article.imageUrl = lead.url;
+            article.width = lead.width || undefined;
+            article.height = lead.height || undefined;
+            article._leadImageFrom = 'page';
+        } else if (article.thumbnail) {
+            article.imageUrl = article.thumbnail;
+            article._leadImageFrom = 'provider';
+        }
+        if (!article.imageUrl || (article.width && article.height)) return;
         
-        return bQuality - aQuality;
+        const probe = await probeImage(article.imageUrl);
+        if (probe.ok && probe.width && probe.height) {
+            article.width = probe.width;
+            article.height = probe.height;
+        }
     });
+}
+
+/**
+ * Fetches one page of news from every provider that still has results.
+ * @param {string} query The search query.
+ * @param {object} settings The extension settings.
+ * @param {number|Object<string, number>} offsets One offset for all providers, or a map of
+ *   provider id to its next offset.
+ * @param {object} config The effective searchConfig (newsFreshnessDays, maxResultsPerCategory).
+ * @param {object} session The search session whose earlier articles are skipped.
+ * @returns {Promise<{articles: Array, offsets: Object<string, number>}>} Newest first.
+ */
+async function searchNews(query, settings, offsets, config, session) {
+    console.log(`[BSearch] Searching news for: "${query}"`);
     
-    return validImages;
+    const page = await searchProviders('news', query, settings, offsets, config, session);
+    const terms = config.requireAllTerms ? getQueryTerms(query) : [];
+    const candidates = page.results
+        .filter(article => article.url && matchesAllTerms(article, terms))
+        .map(article => ({ ...article, category: 'news', _query: query }));
+    
+    // Exact URL repeats (across pages too), then the same story from several outlets
+    const pool = [...takePending('news', session), ...candidates];
+    const unique = dedupeArticlesByStory(filterAndScoreResults(pool, 0, new Set(session.seen.news)));
+    unique.sort((a, b) => Date.parse(b.publishedAt || 0) - Date.parse(a.publishedAt || 0));
+    
+    const articles = takePage(unique, 'news', config, session);
+    await attachLeadImages(articles);
+    console.log(`[BSearch] ${articles.length} articles after dedupe`);
+    return { articles, offsets: page.offsets };
 }
 
-export async function performSearch(query, categories, settings, offset = 0) {
-    if (offset === 0) {
-        resetCache();
-    }
+/**
+ * Streams a first-page image search provider by provider. Each provider's batch is
+ * merged into the running set, deduped and re-ranked, and the full ranked list is
+ * reported as soon as that provider lands. Batches arriving after the session is
+ * cancelled are dropped and no 'done' event is sent.
+ * @param {string} query The search query.
+ * @param {object} settings The extension settings.
+ * @param {object} options Per-search searchConfig overrides.
+ * @param {object} session The search session (see BSessions); load_more continues it.
+ * @param {function(object): void} onEvent Receives 'start', 'batch' and 'done' events; 'done'
+ *   carries the per-provider offsets for load_more, and more: whether load_more has anything left.
+ */
+export async function streamImageSearch(query, settings, options, session, onEvent) {
+    const config = buildSearchConfig(settings, options);
+    const maxResults = Number(config.maxResultsPerCategory || 0);
+    const providers = getEnabledProviders('images', settings, config);
+    const started = Date.now();
+    let collected = [];
+    let ranked = [];
+    const offsets = {};
+    
+    onEvent({ type: 'start', sessionId: session.id, providers: providers.map(p => p.id) });
+    
+    await Promise.all(providers.map(async (provider) => {
+        if (session.cancelled) return;
+        const { results: raw, next } = await runProvider(provider, query, 0, settings, config);
+        if (session.cancelled) return;
+        if (next !== null) offsets[provider.id] = next;
+        const accepted = await verifyImageSizes(acceptImages(raw, query, config, session.seen.images), config);
+        await upgradeImageUrls(accepted, config);
+        await attachImageHashes(accepted, config);
+        collected = collected.concat(accepted);
+        // Re-rank the whole set with a throwaway seen-set so earlier batches are not dropped
+        ranked = filterAndScoreResults(collected, 0, new Set());
+        onEvent({
+            type: 'batch',
+            provider: provider.id,
+            received: raw.length,
+            accepted: accepted.length,
+            elapsedMs: Date.now() - started,
+            images: maxResults > 0 ? ranked.slice(0, maxResults) : ranked
+        });
+    }));
     
+    // The last batch's list is the page; what it had no room for leads the first load_more
+    const page = session.cancelled ? [] : takePage(ranked, 'images', config, session);
+    await saveSession(session);
+    if (session.cancelled) throw cancelledError();
+    onEvent({
+        type: 'done',
+        sessionId: session.id,
+        total: page.length,
+        elapsedMs: Date.now() - started,
+        offsets,
+        more: hasMoreResults(offsets, 'images', session)
+    });
+}
+
+/**
+ * Runs the first page of a search in each requested category.
+ * @param {string} query The search query.
+ * @param {Array<string>} categories Any of 'images', 'videos' and 'news'.
+ * @param {object} settings The extension settings.
+ * @param {object} options Per-search searchConfig overrides.
+ * @param {object} session The search session to record results in; a transient one when
+ *   omitted, for searches nobody pages through.
+ * @returns {Promise<object>} Results per category plus offsets.<category> for load_more and
+ *   more.<category>, whether load_more has anything left.
+ *   Rejects with a SearchCancelledError when the session is cancelled meanwhile.
+ */
+export async function performSearch(query, categories, settings, options = {}, session = createTransientSession(query)) {
     const results = {};
+    const config = buildSearchConfig(settings, options);
+    // Next-page offsets per category, keyed by provider id
+    results.offsets = {};
     
-    if (categories.includes('images')) {
-        try {
-            const images = await searchImages(query, settings.apiKeys, offset);
-            results.images = images;
-            console.log(`[BSearch] Returning ${images.length} images`);
-        } catch (error) {
-            console.error('[BSearch] Image search failed:', error);
-            results.images = [];
+    try {
+        if (categories.includes('images')) {
+            try {
+                const page = await searchImages(query, settings, 0, config, session);
+                results.images = page.images;
+                results.offsets.images = page.offsets;
+                console.log(`[BSearch] Returning ${page.images.length} images`);
+            } catch (error) {
+                if (error.name === 'SearchCancelledError') throw error;
+                console.error('[BSearch] Image search failed:', error);
+                results.images = [];
+                results.offsets.images = {};
+            }
         }
+        
+        if (categories.includes('videos')) {
+            try {
+                const page = await searchVideos(query, settings, 0, config, session);
+                results.videos = page.videos;
+                results.offsets.videos = page.offsets;
+                console.log(`[BSearch] Returning ${page.videos.length} videos`);
+            } catch (error) {
+                if (error.name === 'SearchCancelledError') throw error;
+                console.error('[BSearch] Video search failed:', error);
+                results.videos = [];
+                results.offsets.videos = {};
+            }
+        }
+        
+        if (categories.includes('news')) {
+            try {
+                const page = await searchNews(query, settings, 0, config, session);
+                results.news = page.articles;
+                results.offsets.news = page.offsets;
+                console.log(`[BSearch] Returning ${page.articles.length} articles`);
+            } catch (error) {
+                if (error.name === 'SearchCancelledError') throw error;
+                console.error('[BSearch] News search failed:', error);
+                results.news = [];
+                results.offsets.news = {};
+            }
+        }
+    } finally {
+        await saveSession(session);
     }
     
+    results.more = {};
+    for (const category of Object.keys(results.offsets)) {
+        results.more[category] = hasMoreResults(results.offsets[category], category, session);
+    }
     return results;
 }
 
-export async function loadMoreResults(query, category, settings, offset) {
-    if (category === 'images') {
-        return await searchImages(query, settings.apiKeys, offset);
+/**
+ * Loads the next page of a category, skipping everything the session returned before.
+ * @param {string} query The search query.
+ * @param {string} category The category, e.g. 'images'.
+ * @param {object} settings The extension settings.
+ * @param {number|Object<string, number|string>} offsets Per-provider offsets from the previous page.
+ * @param {object} options Per-search searchConfig overrides.
+ * @param {object} session The search session the first page ran in.
+ * @returns {Promise<{results: Array, offsets: Object<string, number|string>, more: boolean}>}
+ *   more is false once every provider is exhausted and nothing is held back.
+ */
+export async function loadMoreResults(query, category, settings, offsets, options, session) {
+    if (!session.seen[category]) return { results: [], offsets: {}, more: false };
+    
+    const config = buildSearchConfig(settings, options);
+    const page = (results, next) => ({ results, offsets: next, more: hasMoreResults(next, category, session) });
+    try {
+        if (category === 'images') {
+            const { images, offsets: next } = await searchImages(query, settings, offsets, config, session);
+            return page(images, next);
+        }
+        if (category === 'videos') {
+            const { videos, offsets: next } = await searchVideos(query, settings, offsets, config, session);
+            return page(videos, next);
+        }
+        const { articles, offsets: next } = await searchNews(query, settings, offsets, config, session);
+        return page(articles, next);
+    } finally {
+        await saveSession(session);
     }
-    return [];
 }
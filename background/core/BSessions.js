@@ -0,0 +1,147 @@
+// background/core/BSessions.js
+// Search sessions. Every search the results page starts gets its own id, and load_more,
+// streaming and cancellation refer to it, so two tabs searching at once keep separate
+// dedupe state. Sessions are mirrored to chrome.storage.session: they survive the worker
+// sleeping but not the browser closing.
+
+const KEY_PREFIX = 'searchSession:';
+const CATEGORIES = ['images', 'videos', 'news'];
+
+// storage.session holds 10 MB; this keeps the worst case well under it
+const MAX_SESSIONS = 12;
+const MAX_SEEN_PER_CATEGORY = 2000;
+const MAX_PENDING_PER_CATEGORY = 50;
+
+// Sessions used since the worker started, by id
+const liveSessions = new Map();
+
+function fromRecord(record) {
+    const seen = {};
+    const pending = {};
+    for (const category of CATEGORIES) {
+        seen[category] = new Set(record.seen?.[category] || []);
+        pending[category] = record.pending?.[category] || [];
+    }
+    return {
+        id: record.id,
+        query: record.query || '',
+        createdAt: record.createdAt || Date.now(),
+        cancelled: Boolean(record.cancelled),
+        seen,
+        pending
+    };
+}
+
+function toRecord(session) {
+    const seen = {};
+    const pending = {};
+    for (const category of CATEGORIES) {
+        seen[category] = [...session.seen[category]].slice(-MAX_SEEN_PER_CATEGORY);
+        pending[category] = session.pending[category].slice(0, MAX_PENDING_PER_CATEGORY);
+    }
+    return {
+        id: session.id,
+        query: session.query,
+        createdAt: session.createdAt,
+        updatedAt: Date.now(),
+        cancelled: session.cancelled,
+        seen,
+        pending
+    };
+}
+
+/**
+ * Creates a session that is not stored, for one-off searches such as watcher runs.
+ * @param {string} query The search query.
+ * @returns {object} The session: { id, query, createdAt, cancelled, seen, pending }. seen holds
+ *   the keys of results already returned, per category; pending the ranked results a page
+ *   had no room for, which lead the next load_more.
+ */
+export function createTransientSession(query) {
+    return fromRecord({ id: crypto.randomUUID(), query });
+}
+
+/**
+ * Creates and stores a new search session.
+ * @param {string} query The search query.
+ * @returns {Promise<object>} The session; see createTransientSession.
+ */
+export async function createSession(query) {
+    const session = createTransientSession(query);
+    liveSessions.set(session.id, session);
+    await saveSession(session);
+    await pruneSessions();
+    return session;
+}
+
+/**
+ * Looks a session up by id, restoring it from storage after a worker restart.
+ * @param {string} id The session id.
+ * @returns {Promise<object|null>} The session, or null when it is unknown or was pruned.
+ */
+export async function getSession(id) {
+    if (!id) return null;
+    if (liveSessions.has(id)) return liveSessions.get(id);
+
+    const key = KEY_PREFIX + id;
+    const stored = await chrome.storage.session.get([key]);
+    if (!stored[key]) return null;
+    const session = fromRecord(stored[key]);
+    liveSessions.set(id, session);
+    return session;
+}
+
+/**
+ * Writes a session's dedupe state to storage. Only stored sessions (from createSession or
+ * getSession) are written; transient and pruned ones are left out. Failures are logged, not
+ * thrown, as they only cost dedupe after a worker restart.
+ * @param {object} session The session.
+ * @returns {Promise<void>}
+ */
+export async function saveSession(session) {
+    if (liveSessions.get(session.id) !== session) return;
+    try {
+        await chrome.storage.session.set({ [KEY_PREFIX + session.id]: toRecord(session) });
+    } catch (error) {
+        console.warn('[BSessions] Could not save session:', error?.message);
+    }
+}
+
+/**
+ * Cancels a session. Searches running in it stop before their next provider round, and
+ * later load_more requests for it return nothing.
+ * @param {string} id The session id.
+ * @returns {Promise<boolean>} False when the session is unknown.
+ */
+export async function cancelSession(id) {
+    const session = await getSession(id);
+    if (!session) return false;
+    session.cancelled = true;
+    await saveSession(session);
+    console.log(`[BSessions] Cancelled session ${id}`);
+    return true;
+}
+
+/**
+ * Builds the error searches throw when their session has been cancelled.
+ * @returns {Error} An Error named 'SearchCancelledError'.
+ */
+export function cancelledError() {
+    const error = new Error('Search was cancelled.');
+    error.name = 'SearchCancelledError';
+    return error;
+}
+
+// Drops the least recently updated sessions past MAX_SESSIONS
+async function pruneSessions() {
+    const stored = await chrome.storage.session.get(null);
+    const stale = Object.entries(stored)
+        .filter(([key]) => key.startsWith(KEY_PREFIX))
+        .map(([, record]) => record)
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+        .slice(MAX_SESSIONS);
+    if (stale.length === 0) return;
+
+    await chrome.storage.session.remove(stale.map(record => KEY_PREFIX + record.id));
+    stale.forEach(record => liveSessions.delete(record.id));
+}
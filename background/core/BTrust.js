@@ -1,4 +1,5 @@
 // background/core/BTrust.js
+import { hammingDistance } from '../utils/BImageHash.js';
 
 // Remove all blocking - comment out or empty the blocked sources
 const BLOCKED_SOURCES = [
@@ -17,53 +18,281 @@ function isEnglishContent(title, snippet) {
     return !nonEnglishRegex.test(title + ' ' + (snippet || ''));
 }
 
-// Global cache to prevent duplicates across searches - reset on new search
-let seenResults = new Set();
+// Basenames too generic to identify a photo on their own (e.g. ".../image.jpg")
+const GENERIC_BASENAMES = /^(image|img|photo|picture|pic|original|default|main|file|download|\d{1,3})$/;
+// Camera and phone file names (DSC_0001, IMG_20240512_143012, GOPR0042): every device makes the same ones
+const CAMERA_BASENAMES = /^(?:img|dsc[fn]?|_dsc|dcim|pict?|p\d|gopr|gp|mvimg|pxl|vid|photo|image|screenshot|scan|pano)[-_ ]?[\d_-]*$/;
 
-function normalizeImageSignature(imageUrl, width, height) {
+// Long names (usually a slug of the title) and names carrying a hash or numeric id identify one photo anywhere
+function isDistinctiveBasename(base) {
+    if (GENERIC_BASENAMES.test(base) || CAMERA_BASENAMES.test(base)) return false;
+    return base.length >= 16
+        || /(?=[a-z]*\d)(?=\d*[a-z])[a-z\d]{8,}/.test(base)
+        || /\d{9,}/.test(base);
+}
+
+/**
+ * The identity of an image file for dedupe and watcher fingerprints. Size variants
+ * ("-1024x683", "@2x", "_thumb") share a signature. A distinctive basename is the
+ * signature on its own, so re-hosted copies on other sites collide; other names keep
+ * their host and folder, so two sites' "IMG_1234.jpg" stay apart.
+ * @param {string} imageUrl The image URL.
+ * @returns {string}
+ */
+export function normalizeImageSignature(imageUrl) {
     try {
         const url = new URL(imageUrl);
-        let name = url.pathname.split('/').pop() || '';
-        let base = name.toLowerCase();
+        const segments = url.pathname.toLowerCase().split('/');
+        let base = segments.pop() || '';
         // Strip extension
-        base = base.replace(/\.(jpg|jpeg|png|webp|gif|bmp|tiff|svg)(\?.*)?$/, '');
+        base = base.replace(/\.(jpg|jpeg|png|webp|avif|gif|bmp|tiff|svg)(\?.*)?$/, '');
         // Remove common size/dimension and variant suffixes
         base = base
             .replace(/[-_]?\d{2,4}x\d{2,4}$/, '')
             .replace(/@\d+x$/, '')
             .replace(/[-_](scaled|large|medium|small|thumbnail|thumb|cropped|edited|retina|hd|uhd|4k|8k)$/, '')
             .replace(/[-_]{2,}/g, '-');
-        const w = Number(width || 0);
-        const h = Number(height || 0);
-        const wb = Math.round(w / 64);
-        const hb = Math.round(h / 64);
-        return `${base}|${wb}x${hb}`;
+        if (base.length >= 4 && isDistinctiveBasename(base)) return base;
+        return `${url.hostname}${segments.join('/')}/${base || url.pathname}`.toLowerCase();
     } catch {
         return `${imageUrl}`;
     }
 }
 
-function dedupeImagesBySignature(results) {
-    const signatureToBest = new Map();
+function pixelCount(result) {
+    return (Number(result.width || 0) * Number(result.height || 0)) || 0;
+}
+
+// Aspect ratios agree, or at least one size is unknown
+function sameAspect(a, b) {
+    const aw = Number(a.width || 0), ah = Number(a.height || 0);
+    const bw = Number(b.width || 0), bh = Number(b.height || 0);
+    if (!aw || !ah || !bw || !bh) return true;
+    return Math.abs(aw / ah - bw / bh) <= 0.02 * (aw / ah);
+}
+
+// Same signature only counts as a duplicate for the same URL, or when both sizes are known and agree
+function isSameCopy(a, b) {
+    const url = (a.imageUrl || a.url || '').toLowerCase();
+    if (url && url === (b.imageUrl || b.url || '').toLowerCase()) return true;
+    return pixelCount(a) > 0 && pixelCount(b) > 0 && sameAspect(a, b);
+}
+
+function isBetterCopy(candidate, current) {
+    const pa = pixelCount(current);
+    const pb = pixelCount(candidate);
+    if (pb !== pa) return pb > pa;
+    return Number(candidate.byteSize || 0) > Number(current.byteSize || 0);
+}
+
+// What the UI needs to link to a copy that was folded into another result
+function toMirror(result) {
+    return {
+        imageUrl: result.imageUrl || result.url,
+        pageUrl: result.pageUrl || '',
+        source: result.source || '',
+        provider: result._source || '',
+        width: Number(result.width) || null,
+        height: Number(result.height) || null
+    };
+}
+
+// Mirrors of a cluster: every member except the kept one, plus what each member had folded in
+function collectMirrors(members, best) {
+    const mirrors = [];
+    const urls = new Set([(best.imageUrl || best.url || '').toLowerCase()]);
+    for (const member of members) {
+        const candidates = member === best ? member._mirrors || [] : [toMirror(member), ...(member._mirrors || [])];
+        for (const mirror of candidates) {
+            const key = (mirror.imageUrl || '').toLowerCase();
+            if (!key || urls.has(key)) continue;
+            urls.add(key);
+            mirrors.push(mirror);
+        }
+    }
+    return mirrors;
+}
+
+/**
+ * Collapses copies of the same photo (across providers and CDN size variants) to the
+ * highest-resolution member. Results with one signature merge only when their URLs are the
+ * same or both sizes are known and share an aspect ratio. The kept result lists every
+ * provider it was seen on in _sources and the other copies in _mirrors.
+ * @param {Array} results Image results with imageUrl/url, width, height and _source.
+ * @returns {Array} One result per distinct photo, in first-seen order.
+ */
+export function dedupeImagesBySignature(results) {
+    const groups = new Map();
+    const order = [];
+    for (const r of results) {
+        const sig = normalizeImageSignature(r.imageUrl || r.url || '');
+        const bucket = groups.get(sig) || [];
+        if (!groups.has(sig)) groups.set(sig, bucket);
+
+        // Results kept from an earlier pass already carry their merged sources and copy count
+        const sources = r._sources || (r._source ? [r._source] : []);
+        const match = bucket.find(entry => entry.members.some(member => isSameCopy(member, r)));
+        if (!match) {
+            const entry = { best: r, members: [r], sources: new Set(sources), copies: r._copies || 1 };
+            bucket.push(entry);
+            order.push(entry);
+            continue;
+        }
+        match.copies += r._copies || 1;
+        match.members.push(r);
+        sources.forEach(source => match.sources.add(source));
+        if (isBetterCopy(r, match.best)) match.best = r;
+    }
+    return order.map(({ best, members, sources, copies }) => ({
+        ...best,
+        _sources: Array.from(sources),
+        _copies: copies,
+        _mirrors: collectMirrors(members, best)
+    }));
+}
+
+// dHashes this many bits apart (of 64) are treated as the same photo
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+/**
+ * Collapses near-identical images whose perceptual hashes (_dhash, from BImageHash) are
+ * within NEAR_DUPLICATE_DISTANCE bits and whose aspect ratios agree. This catches copies
+ * that dedupeImagesBySignature cannot, such as a photo re-hosted under another name.
+ * The highest-resolution member is kept; the rest become its _mirrors. Results without
+ * a hash pass through unchanged.
+ * @param {Array} results Image results, typically from dedupeImagesBySignature.
+ * @returns {Array} One result per cluster, in first-seen order.
+ */
+export function clusterByPerceptualHash(results) {
+    const clusters = [];
+    const order = [];
     for (const r of results) {
-        const imgUrl = r.imageUrl || r.url || '';
-        const sig = normalizeImageSignature(imgUrl, r.width, r.height);
-        const existing = signatureToBest.get(sig);
-        if (!existing) {
-            signatureToBest.set(sig, r);
+        const cluster = r._dhash
+            ? clusters.find(c => c.members.some(m => hammingDistance(m._dhash, r._dhash) <= NEAR_DUPLICATE_DISTANCE && sameAspect(m, r)))
+            : null;
+        if (!cluster) {
+            const entry = { best: r, members: [r] };
+            if (r._dhash) clusters.push(entry);
+            order.push(entry);
             continue;
         }
-        // Prefer higher pixel count; fallback to longer content-length if present later
-        const pa = (Number(existing.width || 0) * Number(existing.height || 0)) || 0;
-        const pb = (Number(r.width || 0) * Number(r.height || 0)) || 0;
-        if (pb > pa) {
-            signatureToBest.set(sig, r);
+        cluster.members.push(r);
+        if (isBetterCopy(r, cluster.best)) cluster.best = r;
+    }
+    return order.map(({ best, members }) => {
+        if (members.length === 1) return best;
+        const sources = new Set(members.flatMap(m => m._sources || (m._source ? [m._source] : [])));
+        return {
+            ...best,
+            _sources: Array.from(sources),
+            _copies: members.reduce((sum, m) => sum + (m._copies || 1), 0),
+            _mirrors: collectMirrors(members, best)
+        };
+    });
+}
+
+// "Storm hits coast - BBC News" and "Storm Hits Coast | Reuters" are one story
+function storyKey(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Collapses syndicated copies of one news story (same headline, different outlet or URL).
+ * The kept article is the first one seen with a lead image, and lists every outlet in _outlets.
+ * @param {Array} articles Article results with title, url, source and optional imageUrl.
+ * @returns {Array} One article per story, in first-seen order.
+ */
+export function dedupeArticlesByStory(articles) {
+    const stories = new Map();
+    for (const article of articles) {
+        const key = storyKey(article.title) || article.url;
+        const current = stories.get(key);
+        const articleOutlets = article._outlets || (article.source ? [article.source] : []);
+        if (!current) {
+            stories.set(key, { ...article, _outlets: articleOutlets });
+            continue;
         }
+        const outlets = [...current._outlets, ...articleOutlets.filter(outlet => !current._outlets.includes(outlet))];
+        const kept = !current.imageUrl && article.imageUrl ? article : current;
+        stories.set(key, { ...kept, _outlets: outlets });
     }
-    return Array.from(signatureToBest.values());
+    return Array.from(stories.values());
 }
 
-export function filterAndScoreResults(results, maxResults = 20) {
+// User-set provider weight from settings; 1 is neutral, 0 demotes, above 1 promotes
+function providerWeightScore(result) {
+    return Math.round(Number(result._weight ?? 1)) - 1;
+}
+
+/**
+ * Explains how an image result ranks. Every component is a small integer so the
+ * breakdown can be shown as-is in the UI or logs.
+ * @param {object} result An image result (after dedupe).
+ * @returns {{resolution: number, coOccurrence: number, termCoverage: number, crossProvider: number,
+ *   providerWeight: number, total: number}}
+ */
+export function scoreImageResult(result) {
+    const score = { resolution: 0, coOccurrence: 0, termCoverage: 0, crossProvider: 0, providerWeight: 0, total: 0 };
+
+    // Boost if >= 4MP; stronger boost >= 8MP, medium boost >= 2MP
+    const pixels = pixelCount(result);
+    if (pixels >= 8_000_000) score.resolution = 3;
+    else if (pixels >= 4_000_000) score.resolution = 2;
+    else if (pixels >= 2_000_000) score.resolution = 1;
+
+    // Co-occurrence boost: prefer images whose metadata mentions all entities (A and B etc.)
+    const query = (result._query || '').toLowerCase();
+    const entities = query.split(/\s+(?:and|&|vs|x|with)\s+/g).map(s => s.trim()).filter(Boolean);
+    const hay = `${result.ogTitle || ''} ${result.ogDescription || ''} ${result.ogAlt || ''} ${result.title || ''} ${result.pageUrl || ''}`.toLowerCase();
+    if (entities.length > 1) {
+        const all = entities.every(e => hay.includes(e));
+        const any = entities.some(e => hay.includes(e));
+        if (all) score.coOccurrence = 4; // strong co-occurrence
+        else if (any) score.coOccurrence = 1; // keep as padding if needed
+    } else {
+        // Fallback: token coverage when no clear entities
+        const tokens = query.split(/\s+/).filter(Boolean);
+        const matches = tokens.filter(t => hay.includes(t)).length;
+        if (tokens.length > 0 && matches >= Math.min(3, tokens.length)) score.termCoverage = 2;
+        else if (matches >= 2) score.termCoverage = 1;
+    }
+
+    // Several providers returning the same photo is a relevance signal
+    if ((result._sources || []).length > 1) score.crossProvider = 1;
+
+    score.providerWeight = providerWeightScore(result);
+
+    score.total = score.resolution + score.coOccurrence + score.termCoverage + score.crossProvider + score.providerWeight;
+    return score;
+}
+
+function compareScored(a, b) {
+    if (b._score.total !== a._score.total) return b._score.total - a._score.total;
+    const pixelDiff = pixelCount(b) - pixelCount(a);
+    if (pixelDiff !== 0) return pixelDiff;
+    return Number(b.byteSize || 0) - Number(a.byteSize || 0);
+}
+
+// The URL a result is remembered by in a seen set
+function seenKey(result) {
+    const url = result.category === 'images' ? result.imageUrl || result.url : result.url;
+    return url.toLowerCase().trim();
+}
+
+/**
+ * Filters, dedupes and ranks results.
+ * @param {Array} results Candidate results.
+ * @param {number} maxResults Cap on returned results (0 for no cap).
+ * @param {Set<string>} seen URLs already returned; pass a search session's set to drop
+ *   results returned on earlier pages. The URLs of the results returned are added to it;
+ *   those cut by maxResults are not.
+ * @returns {Array} Ranked results, each with a _score breakdown.
+ */
+export function filterAndScoreResults(results, maxResults = 20, seen = new Set()) {
     if (!results || results.length === 0) {
         return [];
     }
@@ -78,84 +307,61 @@ export function filterAndScoreResults(results, maxResults = 20) {
             console.log(`[BTrust] Filtered out non-English content: "${result.title}"`);
         }
         
-        return english && (result.imageUrl || /\.(jpg|jpeg|png|webp|avif)(?:\?|#|$)/i.test(result.url || ''));
+        // Image results need an image; articles and videos only need a URL
+        const hasImage = result.category !== 'images'
+            || Boolean(result.imageUrl || /\.(jpg|jpeg|png|webp|avif)(?:\?|#|$)/i.test(result.url || ''));
+        return english && hasImage && Boolean(result.url || result.imageUrl);
     });
     
     console.log(`[BTrust] After filtering (English only): ${filteredResults.length} results`);
     
     let uniqueResults;
     if (filteredResults.length > 0 && filteredResults[0].category === 'images') {
-        // Special image de-duplication across different source sites
-        const deduped = dedupeImagesBySignature(filteredResults);
+        // Special image de-duplication across different source sites, then by what the pixels look like
+        const deduped = clusterByPerceptualHash(dedupeImagesBySignature(filteredResults));
         // Still guard against exact URL dupes
+        const kept = new Set();
         uniqueResults = deduped.filter(result => {
-            const key = (result.imageUrl || result.url).toLowerCase().trim();
-            if (seenResults.has(key)) return false;
-            seenResults.add(key);
+            const key = seenKey(result);
+            if (seen.has(key) || kept.has(key)) return false;
+            kept.add(key);
             return true;
         });
     } else {
         // Only filter out exact URL duplicates (very lenient)
+        const kept = new Set();
         uniqueResults = filteredResults.filter(result => {
-            const key = result.url.toLowerCase().trim();
-            if (seenResults.has(key)) {
+            const key = seenKey(result);
+            if (seen.has(key) || kept.has(key)) {
                 console.log(`[BTrust] Exact duplicate URL detected: "${result.url}" - skipping`);
                 return false;
             }
-            seenResults.add(key);
+            kept.add(key);
             return true;
         });
     }
     
     console.log(`[BTrust] After removing duplicates: ${uniqueResults.length} results`);
     
-    // Prefer high-resolution images and strong query coverage when category is images
-    const withHiResBoost = uniqueResults.map(result => {
-        let scoreBoost = 0;
-        if (result.category === 'images') {
-            const w = Number(result.width || 0);
-            const h = Number(result.height || 0);
-            const pixelCount = w * h;
-            // Boost if >= 4MP; stronger boost >= 8MP
-            if (pixelCount >= 8_000_000) scoreBoost += 2;
-            else if (pixelCount >= 4_000_000) scoreBoost += 1;
-
-            // Co-occurrence boost: prefer images whose metadata mentions all entities (A and B etc.)
-            const query = (result._query || '').toLowerCase();
-            const entities = query.split(/\s+(?:and|&|vs|x|with)\s+/g).map(s => s.trim()).filter(Boolean);
-            const hay = `${result.ogTitle || ''} ${result.ogDescription || ''} ${result.ogAlt || ''} ${result.title || ''} ${result.pageUrl || ''}`.toLowerCase();
-            if (entities.length > 1) {
-                const all = entities.every(e => hay.includes(e));
-                const any = entities.some(e => hay.includes(e));
-                if (all) scoreBoost += 4; // strong co-occurrence
-                else if (any) scoreBoost += 1; // keep as padding if needed
-            } else {
-                // Fallback: token coverage when no clear entities
-                const tokens = query.split(/\s+/).filter(Boolean);
-                const matches = tokens.filter(t => hay.includes(t)).length;
-                if (matches >= Math.min(3, tokens.length)) scoreBoost += 2;
-                else if (matches >= 2) scoreBoost += 1;
-            }
-        }
-        const curatedResult = { 
-            ...result, 
+    // Prefer high-resolution images and strong query coverage when category is images;
+    // other results rank by provider weight alone
+    const scored = uniqueResults.map(result => {
+        const providerWeight = providerWeightScore(result);
+        const score = result.category === 'images'
+            ? scoreImageResult(result)
+            : { resolution: 0, coOccurrence: 0, termCoverage: 0, crossProvider: 0, providerWeight, total: providerWeight };
+        return {
+            ...result,
             curated: true,
             curationMessage: "I personally curated this from the best sources available",
-            _hiresBoost: scoreBoost
+            _score: score
         };
-        console.log(`[BTrust] Curated result: "${result.title}" from "${result.source}"`);
-        return curatedResult;
     });
 
     // Simple sort: prioritize co-occurrence/hires boost and pixel count
+    scored.sort(compareScored);
 
-// Boost if >= 4MP; stronger boost >= 8MP, medium boost >= 2MP
-if (pixelCount >= 8_000_000) scoreBoost += 3;
-else if (pixelCount >= 4_000_000) scoreBoost += 2;
-else if (pixelCount >= 2_000_000) scoreBoost += 1;
-
-// Function to reset the duplicate cache for new searches
-export function resetDuplicateCache() {
-    seenResults.clear();
-    console.log('[BTrust] Duplicate cache reset for new search');
+    const returned = maxResults > 0 ? scored.slice(0, maxResults) : scored;
+    returned.forEach(result => seen.add(seenKey(result)));
+    return returned;
 }
@@ -0,0 +1,272 @@
+// background/core/BWatchers.js
+// Saved-search watchers. Each watcher re-runs its query on a chrome.alarms schedule and
+// compares the results with the image fingerprints it has already seen; anything new
+// raises a notification and adds to the badge count on the action icon.
+import { performSearch } from './BSearch.js';
+import { normalizeImageSignature } from './BTrust.js';
+
+const STORAGE_KEY = 'watchers';
+const ALARM_PREFIX = 'watcher:';
+const NOTIFICATION_PREFIX = 'watcher:';
+
+export const WATCH_INTERVALS = [60, 180, 360, 720, 1440];
+const DEFAULT_INTERVAL_MINUTES = 360;
+const MAX_FINGERPRINTS = 2000;
+const MAX_RECENT_IMAGES = 20;
+
+// Fields kept for the most recent new images so the options page can preview them
+const RECENT_FIELDS = ['imageUrl', 'thumbnail', 'pageUrl', 'title', 'width', 'height', 'source'];
+
+// Storage writes are serialized so overlapping messages cannot overwrite each other
+let writeQueue = Promise.resolve();
+// Watchers with a run in flight; an alarm firing during a manual run is skipped
+const running = new Set();
+
+async function readWatchers() {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+function mutate(fn) {
+    const run = writeQueue.then(async () => {
+        const watchers = await readWatchers();
+        const value = await fn(watchers);
+        await chrome.storage.local.set({ [STORAGE_KEY]: watchers });
+        return value;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+function findWatcher(watchers, watcherId) {
+    const watcher = watchers.find(w => w.id === watcherId);
+    if (!watcher) throw new Error('Watcher not found');
+    return watcher;
+}
+
+function normalizeInterval(minutes) {
+    const value = Number(minutes);
+    return WATCH_INTERVALS.includes(value) ? value : DEFAULT_INTERVAL_MINUTES;
+}
+
+// Same photo re-hosted on another CDN keeps its fingerprint
+function fingerprint(image) {
+    return normalizeImageSignature(image.imageUrl);
+}
+
+function scheduleAlarm(watcher) {
+    const name = `${ALARM_PREFIX}${watcher.id}`;
+    if (!watcher.enabled) return chrome.alarms.clear(name);
+    return chrome.alarms.create(name, {
+        delayInMinutes: watcher.intervalMinutes,
+        periodInMinutes: watcher.intervalMinutes
+    });
+}
+
+// Public view of a watcher: fingerprints stay in the worker
+function toSummary({ fingerprints, ...watcher }) {
+    return { ...watcher, fingerprintCount: fingerprints.length };
+}
+
+async function updateBadge(watchers) {
+    const unseen = watchers.reduce((sum, w) => sum + (w.enabled ? w.unseenCount : 0), 0);
+    await chrome.action.setBadgeText({ text: unseen > 0 ? String(Math.min(unseen, 999)) : '' });
+    if (unseen > 0) await chrome.action.setBadgeBackgroundColor({ color: '#00A82D' });
+}
+
+function notify(watcher, newImages) {
+    const count = newImages.length;
+    return chrome.notifications.create(`${NOTIFICATION_PREFIX}${watcher.id}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icon128.png'),
+        title: `${count} new ${count === 1 ? 'image' : 'images'} for "${watcher.query}"`,
+        message: newImages.slice(0, 3).map(image => image.title || image.source || image.imageUrl).join('\n'),
+        priority: 1
+    });
+}
+
+export function isWatcherAlarm(name) {
+    return name.startsWith(ALARM_PREFIX);
+}
+
+export function watcherIdFromAlarm(name) {
+    return name.slice(ALARM_PREFIX.length);
+}
+
+export function watcherIdFromNotification(notificationId) {
+    return notificationId.startsWith(NOTIFICATION_PREFIX) ? notificationId.slice(NOTIFICATION_PREFIX.length) : null;
+}
+
+export async function listWatchers() {
+    return (await readWatchers()).map(toSummary);
+}
+
+/**
+ * Starts watching a query. The first run only records a baseline, so the results
+ * already on screen when the watch was set up are never reported as new.
+ * @param {string} query The search query.
+ * @param {object} options Per-search searchConfig overrides used for every run.
+ * @param {number} intervalMinutes One of WATCH_INTERVALS.
+ * @returns {Promise<object>} The watcher summary.
+ */
+export async function createWatcher(query, options, intervalMinutes) {
+    const trimmed = (query || '').trim();
+    if (!trimmed) throw new Error('A watcher needs a query');
+
+    const watcher = await mutate((watchers) => {
+        const key = trimmed.toLowerCase();
+        if (watchers.some(w => w.query.toLowerCase() === key)) {
+            throw new Error(`"${trimmed}" is already watched`);
+        }
+        const created = {
+            id: crypto.randomUUID(),
+            query: trimmed,
+            options: options || {},
+            intervalMinutes: normalizeInterval(intervalMinutes),
+            enabled: true,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastError: null,
+            baselined: false,
+            unseenCount: 0,
+            recentImages: [],
+            fingerprints: []
+        };
+        watchers.push(created);
+        return created;
+    });
+    await scheduleAlarm(watcher);
+    return toSummary(watcher);
+}
+
+export async function updateWatcher(watcherId, changes = {}) {
+    const watcher = await mutate((watchers) => {
+        const target = findWatcher(watchers, watcherId);
+        if (changes.intervalMinutes !== undefined) target.intervalMinutes = normalizeInterval(changes.intervalMinutes);
+        if (changes.enabled !== undefined) target.enabled = Boolean(changes.enabled);
+        if (changes.options !== undefined) target.options = changes.options || {};
+        return target;
+    });
+    await scheduleAlarm(watcher);
+    await updateBadge(await readWatchers());
+    return toSummary(watcher);
+}
+
+export async function deleteWatcher(watcherId) {
+    const watchers = await mutate((list) => {
+        const index = list.findIndex(w => w.id === watcherId);
+        if (index === -1) throw new Error('Watcher not found');
+        list.splice(index, 1);
+        return list;
+    });
+    await chrome.alarms.clear(`${ALARM_PREFIX}${watcherId}`);
+    await chrome.notifications.clear(`${NOTIFICATION_PREFIX}${watcherId}`);
+    await updateBadge(watchers);
+    return true;
+}
+
+// Clears a watcher's unseen count once the user has looked at its results
+export async function markWatcherSeen(watcherId) {
+    const watchers = await mutate((list) => {
+        const watcher = findWatcher(list, watcherId);
+        watcher.unseenCount = 0;
+        return list;
+    });
+    await updateBadge(watchers);
+    return true;
+}
+
+/**
+ * Runs one watcher now and records any images it has not seen before.
+ * @param {string} watcherId The watcher to run.
+ * @param {object} settings The extension settings.
+ * @returns {Promise<{watcher: object, newImages: Array}>}
+ */
+export async function runWatcher(watcherId, settings) {
+    if (running.has(watcherId)) throw new Error('This watcher is already running');
+    running.add(watcherId);
+
+    try {
+        const watcher = findWatcher(await readWatchers(), watcherId);
+        let images = [];
+        let runError = null;
+        try {
+            // A watcher exists to find what is new, so it never reads cached pages
+            const results = await performSearch(watcher.query, ['images'], settings, { ...watcher.options, bypassCache: true });
+            images = results.images || [];
+        } catch (error) {
+            console.error(`[BWatchers] Run failed for "${watcher.query}":`, error);
+            runError = error.message;
+        }
+
+        // Apply to the latest stored copy so edits made during the run are kept
+        let baseline = false;
+        let newImages = [];
+        const watchers = await mutate((list) => {
+            const latest = findWatcher(list, watcherId);
+            latest.lastRunAt = new Date().toISOString();
+            latest.lastError = runError;
+            if (runError) return list;
+
+            const known = new Set(latest.fingerprints);
+            baseline = !latest.baselined;
+            latest.baselined = true;
+            newImages = images.filter(image => {
+                const key = fingerprint(image);
+                if (known.has(key)) return false;
+                known.add(key);
+                return true;
+            });
+            latest.fingerprints = [...known].slice(-MAX_FINGERPRINTS);
+
+            if (!baseline && newImages.length > 0) {
+                latest.unseenCount += newImages.length;
+                const recent = newImages.map(image => Object.fromEntries(
+                    RECENT_FIELDS.filter(field => image[field] !== undefined).map(field => [field, image[field]])
+                ));
+                latest.recentImages = [...recent, ...latest.recentImages].slice(0, MAX_RECENT_IMAGES);
+            }
+            return list;
+        });
+
+        const updated = findWatcher(watchers, watcherId);
+        if (!baseline && newImages.length > 0) {
+            console.log(`[BWatchers] ${newImages.length} new images for "${updated.query}"`);
+            await notify(updated, newImages);
+            await updateBadge(watchers);
+        }
+        return { watcher: toSummary(updated), newImages: baseline ? [] : newImages };
+    } finally {
+        running.delete(watcherId);
+    }
+}
+
+// Alarms survive restarts but not every update path; recreate any that are missing
+export async function syncAlarms() {
+    const watchers = await readWatchers();
+    const alarms = await chrome.alarms.getAll();
+    const existing = new Set(alarms.filter(a => isWatcherAlarm(a.name)).map(a => a.name));
+
+    for (const watcher of watchers) {
+        if (watcher.enabled && !existing.has(`${ALARM_PREFIX}${watcher.id}`)) await scheduleAlarm(watcher);
+        existing.delete(`${ALARM_PREFIX}${watcher.id}`);
+    }
+    // Alarms for deleted watchers
+    for (const name of existing) await chrome.alarms.clear(name);
+    await updateBadge(watchers);
+}
+
+/**
+ * Builds the results page URL for a watcher, with its overrides as URL params.
+ * @param {object} watcher A watcher summary.
+ * @returns {string}
+ */
+export function resultsUrlFor(watcher) {
+    const options = watcher.options || {};
+    const params = new URLSearchParams({ q: watcher.query });
+    if (options.minImageMegaPixels !== undefined) params.set('mp', String(options.minImageMegaPixels));
+    if (options.maxResultsPerCategory !== undefined) params.set('max', String(options.maxResultsPerCategory));
+    if (options.requireAllTerms !== undefined) params.set('all', options.requireAllTerms ? '1' : '0');
+    if (options.usePaidImageAPIs !== undefined) params.set('paid', options.usePaidImageAPIs ? '1' : '0');
+    return chrome.runtime.getURL(`results.html?${params}`);
+}
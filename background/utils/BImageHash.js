@@ -0,0 +1,144 @@
+// background/utils/BImageHash.js
+/**
+ * BImageHash computes a perceptual difference hash (dHash) of an image, so copies of one
+ * photo re-hosted under another CDN, name or compression level can be recognised even
+ * though their URLs have nothing in common.
+ */
+import { fetchResource } from './BUtils.js';
+
+// 9×8 grayscale pixels give 8 comparisons per row, 64 bits in all
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const DEFAULT_TIMEOUT_MS = 8000;
+// Larger files are not worth downloading just to hash
+const MAX_HASH_BYTES = 3 * 1024 * 1024;
+const CACHE_LIMIT = 2000;
+
+// Hashes by URL, including failures (null), so re-ranking a batch does not refetch
+const hashCache = new Map();
+
+function remember(url, hash) {
+  if (hashCache.size >= CACHE_LIMIT) hashCache.delete(hashCache.keys().next().value);
+  hashCache.set(url, hash);
+  return hash;
+}
+
+// Bit i is set when pixel i in its row is brighter than the one to its right
+function dHashFromPixels(data) {
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = (y * HASH_WIDTH + x) * 4;
+      const left = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      const right = data[i + 4] * 0.299 + data[i + 5] * 0.587 + data[i + 6] * 0.114;
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      bits += 1;
+      if (bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+/**
+ * Hashes an image file already in memory, e.g. one the user pasted.
+ * @param {Blob} blob The image file.
+ * @returns {Promise<{hash: string|null, width: number, height: number}>} The dHash (null for
+ *   flat images) and the image's decoded size. Rejects when the blob is not a decodable image.
+ */
+export async function hashImageBlob(blob) {
+  // Decode once at full size for the dimensions, then let the canvas scale it down
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  const canvas = new OffscreenCanvas(HASH_WIDTH, HASH_HEIGHT);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+  bitmap.close();
+
+  const hash = dHashFromPixels(ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data);
+  return { hash: /^0+$|^f+$/.test(hash) ? null : hash, width, height };
+}
+
+// The response body as a Blob, or null once it passes maxBytes; content-length is not
+// always sent (chunked responses), so the limit is enforced while reading
+async function readLimited(res, maxBytes) {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.length;
+    if (received > maxBytes) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  return new Blob(chunks, { type: res.headers.get('content-type') || '' });
+}
+
+/**
+ * Downloads an image (preferably a thumbnail), scales it to 9×8 in an OffscreenCanvas and
+ * returns its 64-bit dHash.
+ * @param {string} url The image URL.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] Abort the download after this long.
+ * @returns {Promise<string|null>} 16 hex digits, or null when the image could not be
+ *   fetched or decoded or is over MAX_HASH_BYTES. Flat images (no edges at all) also return null, as every one of
+ *   them would match every other.
+ */
+export async function computeImageHash(url, options = {}) {
+  if (!url) return null;
+  if (hashCache.has(url)) return hashCache.get(url);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), options.timeoutMs || DEFAULT_TIMEOUT_MS);
+  try {
+    const res = await fetchResource(url, { credentials: 'omit', referrerPolicy: 'no-referrer', signal: controller.signal });
+    if (!res.ok) return remember(url, null);
+    if (Number(res.headers.get('content-length') || 0) > MAX_HASH_BYTES) {
+      controller.abort();
+      return remember(url, null);
+    }
+
+    const blob = await readLimited(res, MAX_HASH_BYTES);
+    if (!blob) {
+      controller.abort();
+      return remember(url, null);
+    }
+    const { hash } = await hashImageBlob(blob);
+    return remember(url, hash);
+  } catch (error) {
+    // Timeouts are not remembered; the host may answer next time
+    if (error?.name === 'AbortError') return null;
+    return remember(url, null);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Counts the bits that differ between two hashes from computeImageHash.
+ * @param {string} a A hex hash.
+ * @param {string} b A hex hash of the same length.
+ * @returns {number} 0 for identical hashes, up to 64; Infinity when either is missing.
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
@@ -0,0 +1,191 @@
+// background/utils/BImageInfo.js
+/**
+ * BImageInfo reads true pixel dimensions from the first bytes of an image, so results
+ * whose providers report no size can be verified without downloading the whole file.
+ */
+import { fetchResource, headCheck } from './BUtils.js';
+
+const DEFAULT_RANGE_BYTES = 64 * 1024;
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/avif'];
+
+// JPEG start-of-frame markers carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) do not
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function u16be(bytes, i) {
+  return (bytes[i] << 8) | bytes[i + 1];
+}
+
+function u32be(bytes, i) {
+  return ((bytes[i] << 24) >>> 0) + (bytes[i + 1] << 16) + (bytes[i + 2] << 8) + bytes[i + 3];
+}
+
+function u24le(bytes, i) {
+  return bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+}
+
+function parseJpeg(bytes) {
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xFF) return null;
+    // Skip fill bytes between markers
+    while (bytes[i] === 0xFF && i < bytes.length) i++;
+    const marker = bytes[i];
+    i++;
+    // Standalone markers have no length field
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) continue;
+    if (i + 7 > bytes.length) return null;
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { format: 'jpeg', height: u16be(bytes, i + 3), width: u16be(bytes, i + 5) };
+    }
+    i += u16be(bytes, i);
+  }
+  return null;
+}
+
+function parsePng(bytes) {
+  if (bytes.length < 24 || ascii(bytes, 12, 4) !== 'IHDR') return null;
+  return { format: 'png', width: u32be(bytes, 16), height: u32be(bytes, 20) };
+}
+
+function parseWebp(bytes) {
+  if (bytes.length < 30) return null;
+  const chunk = ascii(bytes, 12, 4);
+  if (chunk === 'VP8 ') {
+    return {
+      format: 'webp',
+      width: (bytes[26] | (bytes[27] << 8)) & 0x3FFF,
+      height: (bytes[28] | (bytes[29] << 8)) & 0x3FFF
+    };
+  }
+  if (chunk === 'VP8L') {
+    return {
+      format: 'webp',
+      width: 1 + (((bytes[22] & 0x3F) << 8) | bytes[21]),
+      height: 1 + (((bytes[24] & 0x0F) << 10) | (bytes[23] << 2) | ((bytes[22] & 0xC0) >> 6))
+    };
+  }
+  if (chunk === 'VP8X') {
+    return { format: 'webp', width: 1 + u24le(bytes, 24), height: 1 + u24le(bytes, 27) };
+  }
+  return null;
+}
+
+// AVIF/HEIF store the size in an "ispe" property box; thumbnails add smaller ones, keep the largest
+function parseAvif(bytes) {
+  let best = null;
+  for (let i = 4; i + 16 <= bytes.length; i++) {
+    if (bytes[i] !== 0x69 || ascii(bytes, i, 4) !== 'ispe') continue;
+    const width = u32be(bytes, i + 8);
+    const height = u32be(bytes, i + 12);
+    if (!best || width * height > best.width * best.height) best = { format: 'avif', width, height };
+  }
+  return best;
+}
+
+/**
+ * Reads pixel dimensions from the leading bytes of a JPEG, PNG, WebP or AVIF file.
+ * @param {Uint8Array} bytes The first bytes of the file (a few KB is usually enough).
+ * @returns {{format: string, width: number, height: number}|null} null when the format is
+ *   unknown or the header is not fully contained in the bytes given.
+ */
+export function parseImageDimensions(bytes) {
+  if (!bytes || bytes.length < 12) return null;
+  let info = null;
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    info = parseJpeg(bytes);
+  } else if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === 'PNG') {
+    info = parsePng(bytes);
+  } else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    info = parseWebp(bytes);
+  } else if (ascii(bytes, 4, 4) === 'ftyp') {
+    info = parseAvif(bytes);
+  }
+  return info && info.width > 0 && info.height > 0 ? info : null;
+}
+
+// "bytes 0-65535/1234567" → 1234567
+function totalFromContentRange(value) {
+  const m = /\/(\d+)\s*$/.exec(value || '');
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Fetches the first bytes of an image with a Range request and reports its real size.
+ * @param {string} url The image URL.
+ * @param {object} [options]
+ * @param {number} [options.rangeBytes] How many leading bytes to read at most.
+ * @param {number} [options.timeoutMs] Abort the request after this long.
+ * @returns {Promise<{ok: boolean, width?: number, height?: number, format?: string,
+ *   mime?: string, byteSize?: number|null, status?: number, error?: string}>}
+ *   ok is false when the URL is not a usable bitmap image; width/height are missing when the
+ *   header could not be parsed.
+ */
+export async function probeImage(url, options = {}) {
+  const rangeBytes = options.rangeBytes || DEFAULT_RANGE_BYTES;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), options.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+  try {
+    const res = await fetchResource(url, {
+      headers: { 'Range': `bytes=0-${rangeBytes - 1}` },
+      credentials: 'omit',
+      signal: controller.signal
+    });
+
+    if (!res.ok) {
+      // Some hosts reject ranged GETs outright; a HEAD still tells us type and size
+      const head = await headCheck(url);
+      if (head.ok) {
+        return { ok: true, mime: head.contentType, byteSize: head.contentLength, status: res.status };
+      }
+      return { ok: false, status: res.status, error: `HTTP ${res.status}` };
+    }
+
+    const mime = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const byteSize = res.status === 206
+      ? totalFromContentRange(res.headers.get('content-range'))
+      : (Number(res.headers.get('content-length')) || null);
+
+    if (mime && !ALLOWED_TYPES.includes(mime)) {
+      controller.abort();
+      return { ok: false, mime, byteSize, status: res.status, error: `Not a bitmap image (${mime})` };
+    }
+
+    // Read only as much as needed; servers that ignore Range would otherwise send the whole file
+    const reader = res.body.getReader();
+    const chunks = [];
+    let received = 0;
+    let info = null;
+    while (received < rangeBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      const bytes = new Uint8Array(received);
+      let pos = 0;
+      for (const chunk of chunks) { bytes.set(chunk, pos); pos += chunk.length; }
+      info = parseImageDimensions(bytes);
+      if (info) break;
+    }
+    reader.cancel().catch(() => {});
+
+    return {
+      ok: true,
+      mime: mime || (info ? `image/${info.format}` : ''),
+      byteSize,
+      status: res.status,
+      ...(info || {})
+    };
+  } catch (error) {
+    const timedOut = error?.name === 'AbortError';
+    return { ok: false, error: timedOut ? 'Timed out' : error?.message, timedOut };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
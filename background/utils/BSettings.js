@@ -1,30 +1,34 @@
 // background/utils/BSettings.js
 
-const DEFAULT_SETTINGS = {
+// Keys ship empty: adapters treat a falsy key as "not configured" and skip the provider.
+export const DEFAULT_SETTINGS = {
     apiKeys: {
         // News APIs
-        gnews: 'GNEWS_KEY',
-        newsapi_org: 'NEWSAPI_AI_KEY',
-        newsapi_ai: 'NEWSAPI_AI_KEY',
+        gnews: '',
+        newsapi_org: '',
+        newsapi_ai: '',
         
         // Image APIs (High-res web images only, no stock photos)
-        serpApi: 'SERPAPI_KEY',
+        serpApi: '',
+        flickr: '',
+        unsplash: '',
+        pexels: '',
         googleImages: {
-            apiKey: 'GOOGLEIMAGES_KEY',
+            apiKey: '',
             cx: '452a8aa1a91e64d00'
         },
         
         // Video APIs
-        youtube: 'YOUTUBE_KEY',
-        vimeo: 'VIMEO_KEY',
+        youtube: '',
+        vimeo: '',
         
         // Search APIs
-        brave: 'BRAVE_KEY',
-        google_search: 'GOOGLE_SEARCH_KEY',
+        brave: '',
+        google_search: '',
         
         // AI APIs (for future use)
-        openai: 'OPENAI_KEY',
-        groq: 'GROG_KEY'
+        openai: '',
+        groq: ''
     },
     searchConfig: {
         newsFreshnessDays: 90,
@@ -32,25 +36,167 @@ const DEFAULT_SETTINGS = {
         preferGoogleCSE: true,
         usePaidImageAPIs: false,
         minImageMegaPixels: 4,
-        requireAllTerms: true
-    }
+        requireAllTerms: true,
+        // Cluster near-identical images by a perceptual hash of their thumbnails
+        perceptualDedupe: true,
+        // Rewrite resized CDN URLs (WordPress -1024x683, ?w=800, ...) to the original when it is larger
+        upgradeImageUrls: true,
+        // 0 means any upload date
+        videoFreshnessDays: 30,
+        videoSort: 'recent',
+        // Provider pages are reused for this long, then refreshed in the background; 0 turns caching off
+        cacheTtlMinutes: 60
+    },
+    downloadConfig: {
+        // Tokens: {query} {domain} {width} {height} {index} {title} {provider} {date}
+        filenameTemplate: 'hiREZZIE/{query}/{index}-{domain}-{width}x{height}',
+        writeSidecar: false
+    },
+    // Per-provider { enabled, weight, dailyLimit }, keyed by provider id; missing entries mean
+    // enabled at weight 1 with the provider's default daily cap
+    providerConfig: {}
+};
+
+export const FILENAME_TOKENS = ['query', 'domain', 'width', 'height', 'index', 'title', 'provider', 'date'];
+
+// Numeric searchConfig fields and their accepted ranges
+const NUMERIC_LIMITS = {
+    newsFreshnessDays: { min: 1, max: 365, integer: true },
+    maxResultsPerCategory: { min: 1, max: 500, integer: true },
+    minImageMegaPixels: { min: 0, max: 100, integer: false },
+    videoFreshnessDays: { min: 0, max: 3650, integer: true },
+    cacheTtlMinutes: { min: 0, max: 10080, integer: true }
 };
 
+export const VIDEO_SORTS = ['recent', 'resolution'];
+
+// A provider's weight nudges its results' rank; 1 is neutral
+export const PROVIDER_WEIGHT_LIMITS = { min: 0, max: 5 };
+// Requests per day; 0 means no cap
+const DAILY_LIMIT_MAX = 100_000;
+
+// Placeholder values older builds shipped as defaults; never treat them as real keys
+const PLACEHOLDER_KEY = /^[A-Z_]+_KEY$/;
+
+function mergeSettings(stored = {}) {
+    const apiKeys = { ...DEFAULT_SETTINGS.apiKeys, ...stored.apiKeys };
+    apiKeys.googleImages = { ...DEFAULT_SETTINGS.apiKeys.googleImages, ...(stored.apiKeys?.googleImages || {}) };
+    for (const [name, value] of Object.entries(apiKeys)) {
+        if (typeof value === 'string' && PLACEHOLDER_KEY.test(value)) apiKeys[name] = '';
+    }
+    if (PLACEHOLDER_KEY.test(apiKeys.googleImages.apiKey || '')) apiKeys.googleImages.apiKey = '';
+    return {
+        apiKeys,
+        searchConfig: { ...DEFAULT_SETTINGS.searchConfig, ...stored.searchConfig },
+        downloadConfig: { ...DEFAULT_SETTINGS.downloadConfig, ...stored.downloadConfig },
+        providerConfig: { ...DEFAULT_SETTINGS.providerConfig, ...stored.providerConfig }
+    };
+}
+
+/**
+ * Validates a settings object before it is persisted.
+ * @param {object} settings The candidate settings ({ apiKeys, searchConfig, downloadConfig, providerConfig }).
+ * @returns {Array<{field: string, message: string}>} An empty array when the settings are valid.
+ */
+export function validateSettings(settings) {
+    const errors = [];
+    const apiKeys = settings?.apiKeys || {};
+    const searchConfig = settings?.searchConfig || {};
+    const downloadConfig = settings?.downloadConfig || {};
+    const providerConfig = settings?.providerConfig || {};
+
+    const checkKey = (field, value) => {
+        if (value === undefined || value === '') return;
+        if (typeof value !== 'string') {
+            errors.push({ field, message: 'Must be text.' });
+        } else if (/\s/.test(value)) {
+            errors.push({ field, message: 'Must not contain spaces or line breaks.' });
+        } else if (PLACEHOLDER_KEY.test(value)) {
+            errors.push({ field, message: 'Looks like a placeholder, not a real key.' });
+        }
+    };
+
+    for (const [name, value] of Object.entries(apiKeys)) {
+        if (name === 'googleImages') continue;
+        checkKey(`apiKeys.${name}`, value);
+    }
+    checkKey('apiKeys.googleImages.apiKey', apiKeys.googleImages?.apiKey);
+    checkKey('apiKeys.googleImages.cx', apiKeys.googleImages?.cx);
+    if (apiKeys.googleImages?.apiKey && !apiKeys.googleImages?.cx) {
+        errors.push({ field: 'apiKeys.googleImages.cx', message: 'A search engine ID (cx) is required with a Google CSE key.' });
+    }
+
+    for (const [name, limits] of Object.entries(NUMERIC_LIMITS)) {
+        const value = searchConfig[name];
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            errors.push({ field: `searchConfig.${name}`, message: 'Must be a number.' });
+        } else if (value < limits.min || value > limits.max) {
+            errors.push({ field: `searchConfig.${name}`, message: `Must be between ${limits.min} and ${limits.max}.` });
+        } else if (limits.integer && !Number.isInteger(value)) {
+            errors.push({ field: `searchConfig.${name}`, message: 'Must be a whole number.' });
+        }
+    }
+
+    for (const name of ['preferGoogleCSE', 'usePaidImageAPIs', 'requireAllTerms', 'perceptualDedupe', 'upgradeImageUrls']) {
+        if (typeof searchConfig[name] !== 'boolean') {
+            errors.push({ field: `searchConfig.${name}`, message: 'Must be on or off.' });
+        }
+    }
+
+    if (!VIDEO_SORTS.includes(searchConfig.videoSort)) {
+        errors.push({ field: 'searchConfig.videoSort', message: `Must be one of: ${VIDEO_SORTS.join(', ')}.` });
+    }
+
+    const template = downloadConfig.filenameTemplate;
+    if (typeof template !== 'string' || !template.trim()) {
+        errors.push({ field: 'downloadConfig.filenameTemplate', message: 'A filename template is required.' });
+    } else {
+        const unknown = (template.match(/\{[^}]*\}/g) || [])
+            .map(token => token.slice(1, -1))
+            .filter(token => !FILENAME_TOKENS.includes(token));
+        if (unknown.length > 0) {
+            errors.push({ field: 'downloadConfig.filenameTemplate', message: `Unknown token(s): ${unknown.map(t => `{${t}}`).join(', ')}.` });
+        } else if (/(^|\/)\.\.(\/|$)/.test(template) || template.startsWith('/')) {
+            errors.push({ field: 'downloadConfig.filenameTemplate', message: 'Must be a relative path inside the Downloads folder.' });
+        }
+    }
+    if (typeof downloadConfig.writeSidecar !== 'boolean') {
+        errors.push({ field: 'downloadConfig.writeSidecar', message: 'Must be on or off.' });
+    }
+
+    for (const [id, entry] of Object.entries(providerConfig)) {
+        // Fields left unset fall back to the provider's defaults
+        if (entry?.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+            errors.push({ field: `providerConfig.${id}.enabled`, message: 'Must be on or off.' });
+        }
+        const weight = entry?.weight;
+        if (weight !== undefined && (!Number.isInteger(weight) || weight < PROVIDER_WEIGHT_LIMITS.min || weight > PROVIDER_WEIGHT_LIMITS.max)) {
+            errors.push({ field: `providerConfig.${id}.weight`, message: `Must be a whole number between ${PROVIDER_WEIGHT_LIMITS.min} and ${PROVIDER_WEIGHT_LIMITS.max}.` });
+        }
+        const dailyLimit = entry?.dailyLimit;
+        if (dailyLimit !== undefined && (!Number.isInteger(dailyLimit) || dailyLimit < 0 || dailyLimit > DAILY_LIMIT_MAX)) {
+            errors.push({ field: `providerConfig.${id}.dailyLimit`, message: `Must be a whole number between 0 and ${DAILY_LIMIT_MAX} (0 for no cap).` });
+        }
+    }
+
+    return errors;
+}
+
 export async function getSettings() {
     return new Promise((resolve) => {
-        chrome.storage.sync.get(['apiKeys', 'searchConfig'], (result) => {
-            const settings = {
-                apiKeys: { ...DEFAULT_SETTINGS.apiKeys, ...result.apiKeys },
-                searchConfig: { ...DEFAULT_SETTINGS.searchConfig, ...result.searchConfig }
-            };
-            resolve(settings);
+        chrome.storage.sync.get(['apiKeys', 'searchConfig', 'downloadConfig', 'providerConfig'], (result) => {
+            resolve(mergeSettings(result));
         });
     });
 }
 
 export async function saveSettings(settings) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
         chrome.storage.sync.set(settings, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
             resolve();
         });
     });
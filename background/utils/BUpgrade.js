@@ -0,0 +1,210 @@
+// background/utils/BUpgrade.js
+/**
+ * BUpgrade rewrites resized CDN variants (WordPress "-1024x683", "?w=800", Wikimedia
+ * /thumb/ paths, ...) to the URL of the original upload, and keeps the rewrite only when a
+ * probe of the file confirms it is larger.
+ */
+import { probeImage } from './BImageInfo.js';
+
+const IMAGE_EXT = '\\.(?:jpe?g|png|webp|avif|gif)';
+
+// Size parameters image CDNs (Imgix, Photon, Sanity, Contentful, ...) resize by
+const SIZE_PARAMS = ['w', 'h', 'width', 'height', 'resize', 'fit', 'crop', 'dpr', 'q', 'quality'];
+
+/**
+ * Rewrite rules, tried in order; every rule that matches adds one candidate. examples pairs
+ * a resized URL with the rewrite expected of it, so the table documents (and can check) itself.
+ */
+export const UPGRADE_RULES = [
+  {
+    id: 'wikimedia-thumb',
+    examples: [[
+      'https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Tower.jpg/800px-Tower.jpg',
+      'https://upload.wikimedia.org/wikipedia/commons/a/ab/Tower.jpg'
+    ]],
+    upgrade: (url) => {
+      if (url.hostname !== 'upload.wikimedia.org') return null;
+      const m = /^(\/[^/]+\/[^/]+)\/thumb(\/[0-9a-f]\/[0-9a-f]{2}\/[^/]+)\/[^/]+$/.exec(url.pathname);
+      return m ? `${url.origin}${m[1]}${m[2]}` : null;
+    }
+  },
+  {
+    id: 'twitter-name',
+    examples: [
+      ['https://pbs.twimg.com/media/FxAbc.jpg?name=small', 'https://pbs.twimg.com/media/FxAbc.jpg?name=orig'],
+      ['https://pbs.twimg.com/media/FxAbc?format=png&name=900x900', 'https://pbs.twimg.com/media/FxAbc?format=png&name=orig'],
+      ['https://pbs.twimg.com/media/FxAbc.jpg:large', 'https://pbs.twimg.com/media/FxAbc.jpg?name=orig']
+    ],
+    upgrade: (url) => {
+      if (url.hostname !== 'pbs.twimg.com') return null;
+      const next = new URL(url);
+      next.pathname = next.pathname.replace(/:(?:thumb|small|medium|large|orig)$/, '');
+      if (next.searchParams.get('name') === 'orig' && next.pathname === url.pathname) return null;
+      next.searchParams.set('name', 'orig');
+      return next.toString();
+    }
+  },
+  {
+    id: 'cloudinary-transform',
+    examples: [[
+      'https://res.cloudinary.com/demo/image/upload/c_fill,w_800,h_600/q_auto/v1712/samples/dog.jpg',
+      'https://res.cloudinary.com/demo/image/upload/v1712/samples/dog.jpg'
+    ]],
+    upgrade: (url) => {
+      const m = /^(.*\/image\/(?:upload|fetch)\/)((?:[a-z]{1,3}_[^/]+\/)+)(.+)$/.exec(url.pathname);
+      if (!m || !/cloudinary/i.test(url.hostname + url.pathname)) return null;
+      return `${url.origin}${m[1]}${m[3]}`;
+    }
+  },
+  {
+    id: 'googleusercontent-size',
+    examples: [
+      ['https://lh3.googleusercontent.com/abc123=w800-h600-rw', 'https://lh3.googleusercontent.com/abc123=s0'],
+      ['https://blogger.googleusercontent.com/img/b/R29v/s400/cat.jpg', 'https://blogger.googleusercontent.com/img/b/R29v/s0/cat.jpg']
+    ],
+    upgrade: (url) => {
+      if (!/(^|\.)(googleusercontent|ggpht)\.com$/.test(url.hostname)) return null;
+      const path = url.pathname
+        .replace(/=[swh]\d+[^/]*$/, '=s0')
+        .replace(/\/[swh]\d+(?:-[a-z0-9-]+)?(\/[^/]+)$/, '/s0$1');
+      return path !== url.pathname ? `${url.origin}${path}` : null;
+    }
+  },
+  {
+    id: 'wordpress-size',
+    examples: [
+      ['https://example.com/wp-content/uploads/2024/05/skyline-1024x683.jpg', 'https://example.com/wp-content/uploads/2024/05/skyline.jpg'],
+      ['https://example.com/wp-content/uploads/2024/05/skyline-scaled.jpg', 'https://example.com/wp-content/uploads/2024/05/skyline.jpg']
+    ],
+    upgrade: (url) => {
+      const path = url.pathname.replace(new RegExp(`-(?:\\d{2,5}x\\d{2,5}|scaled)(${IMAGE_EXT})$`, 'i'), '$1');
+      return path !== url.pathname ? `${url.origin}${path}${url.search}` : null;
+    }
+  },
+  {
+    id: 'shopify-size',
+    examples: [[
+      'https://cdn.shopify.com/s/files/1/0001/products/boot_800x.jpg?v=17',
+      'https://cdn.shopify.com/s/files/1/0001/products/boot.jpg?v=17'
+    ]],
+    upgrade: (url) => {
+      if (!/shopify/i.test(url.hostname)) return null;
+      const path = url.pathname.replace(new RegExp(`_(?:\\d+x\\d*|x\\d+|pico|icon|thumb|small|compact|medium|large|grande)(?:_crop_[a-z]+)?(?:@\\dx)?(${IMAGE_EXT})$`, 'i'), '$1');
+      return path !== url.pathname ? `${url.origin}${path}${url.search}` : null;
+    }
+  },
+  {
+    id: 'thumb-suffix',
+    examples: [
+      ['https://cdn.example.org/photos/harbor_thumb.jpg', 'https://cdn.example.org/photos/harbor.jpg'],
+      ['https://cdn.example.org/photos/harbor-small@2x.png', 'https://cdn.example.org/photos/harbor.png']
+    ],
+    upgrade: (url) => {
+      const path = url.pathname.replace(new RegExp(`[-_.](?:thumb|thumbnail|thumbs|small|medium|preview|tn)(?:@\\dx)?(${IMAGE_EXT})$`, 'i'), '$1');
+      return path !== url.pathname ? `${url.origin}${path}${url.search}` : null;
+    }
+  },
+  {
+    id: 'query-size',
+    examples: [
+      ['https://assets.imgix.net/photos/lake.jpg?w=800&h=600&fit=crop&auto=format', 'https://assets.imgix.net/photos/lake.jpg?auto=format'],
+      ['https://i0.wp.com/example.com/lake.jpg?resize=640%2C427&ssl=1', 'https://i0.wp.com/example.com/lake.jpg?ssl=1']
+    ],
+    upgrade: (url) => {
+      const next = new URL(url);
+      SIZE_PARAMS.forEach(name => next.searchParams.delete(name));
+      return next.search !== url.search ? next.toString() : null;
+    }
+  }
+];
+
+// Upgrade outcomes by URL, so a result seen again on a later page is not probed again
+const CACHE_LIMIT = 2000;
+const upgradeCache = new Map();
+
+function remember(url, outcome) {
+  if (upgradeCache.size >= CACHE_LIMIT) upgradeCache.delete(upgradeCache.keys().next().value);
+  upgradeCache.set(url, outcome);
+  return outcome;
+}
+
+/**
+ * Lists the original-size URLs an image URL may have been resized from.
+ * @param {string} imageUrl An image URL.
+ * @returns {Array<{rule: string, url: string}>} When several rules match, first the URL
+ *   with all of them applied (rule ids joined by '+'), then one candidate per rule; without
+ *   repeats and without the URL itself. Empty when no rule applies.
+ */
+export function upgradeCandidates(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch {
+    return [];
+  }
+  if (!/^https?:$/.test(url.protocol)) return [];
+
+  const single = [];
+  const chainedRules = [];
+  let chained = url;
+  for (const rule of UPGRADE_RULES) {
+    const upgraded = rule.upgrade(url);
+    if (upgraded) single.push({ rule: rule.id, url: upgraded });
+    const next = rule.upgrade(chained);
+    if (next) {
+      chained = new URL(next);
+      chainedRules.push(rule.id);
+    }
+  }
+
+  const all = chainedRules.length > 1 ? [{ rule: chainedRules.join('+'), url: chained.toString() }, ...single] : single;
+  const seen = new Set([url.toString()]);
+  return all.filter(candidate => {
+    if (seen.has(candidate.url)) return false;
+    seen.add(candidate.url);
+    return true;
+  });
+}
+
+/**
+ * Replaces a result's imageUrl with its original-size version when one exists. Candidates
+ * are probed in order and the first that is a readable bitmap with more pixels than the
+ * result wins; when the result's own size is unknown, any candidate with a readable size does.
+ * @param {object} image An image result; updated in place.
+ * @returns {Promise<boolean>} Whether the result was upgraded. _upgradedFrom keeps the
+ *   resized URL and _upgradeRule the id of the rule that found the original.
+ */
+export async function upgradeImage(image) {
+  const from = image.imageUrl;
+  if (!from) return false;
+
+  let outcome = upgradeCache.get(from);
+  if (outcome === undefined) {
+    outcome = null;
+    const currentPixels = (Number(image.width || 0) * Number(image.height || 0)) || 0;
+    for (const candidate of upgradeCandidates(from)) {
+      const probe = await probeImage(candidate.url);
+      if (!probe.ok || !probe.width || !probe.height) continue;
+      if (probe.width * probe.height <= currentPixels) continue;
+      outcome = { ...candidate, width: probe.width, height: probe.height, byteSize: probe.byteSize || null, mime: probe.mime || null };
+      break;
+    }
+    remember(from, outcome);
+  }
+  if (!outcome) return false;
+
+  Object.assign(image, {
+    url: image.url === from ? outcome.url : image.url,
+    imageUrl: outcome.url,
+    width: outcome.width,
+    height: outcome.height,
+    byteSize: outcome.byteSize || image.byteSize || null,
+    mime: outcome.mime || image.mime || null,
+    _verified: true,
+    _upgradedFrom: from,
+    _upgradeRule: outcome.rule
+  });
+  // The resized copy still makes a fine preview
+  if (!image.thumbnail) image.thumbnail = from;
+  return true;
+}
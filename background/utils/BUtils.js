@@ -62,9 +62,293 @@ export function canonicalizeUrl(rawUrl) {
   }
 }
 
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * @param {Array} items The inputs.
+ * @param {number} limit Maximum concurrent calls.
+ * @param {function(*, number): Promise<*>} fn Called with (item, index).
+ * @returns {Promise<Array>} Results in input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// What a cancelled request rejects with: the signal's reason, else an AbortError, so callers
+// can tell a cancellation from a failure
+function cancellation(signal) {
+  return signal?.reason instanceof Error ? signal.reason : new DOMException('Request cancelled.', 'AbortError');
+}
+
+/**
+ * Creates a scheduler that runs at most `concurrency` tasks at once and starts tasks
+ * no closer together than `minIntervalMs`.
+ * @param {{concurrency?: number, minIntervalMs?: number}} [limits]
+ * @returns {function(function(): Promise<*>, AbortSignal=): Promise<*>} schedule(task, signal)
+ *   resolves with the task's result. A task whose signal aborts while it waits is dropped
+ *   without taking a start slot, and rejects with an AbortError.
+ */
+export function createRateLimiter({ concurrency = 1, minIntervalMs = 0 } = {}) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  const pump = () => {
+    if (timer || active >= concurrency || queue.length === 0) return;
+    const wait = lastStart + minIntervalMs - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => { timer = null; pump(); }, wait);
+      return;
+    }
+    const { task, signal, onAbort, resolve, reject } = queue.shift();
+    signal?.removeEventListener('abort', onAbort);
+    active++;
+    lastStart = Date.now();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => { active--; pump(); });
+    pump();
+  };
+
+  return (task, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancellation(signal));
+      return;
+    }
+    const entry = { task, signal, resolve, reject };
+    entry.onAbort = () => {
+      const index = queue.indexOf(entry);
+      if (index < 0) return;
+      queue.splice(index, 1);
+      reject(cancellation(signal));
+    };
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+    queue.push(entry);
+    pump();
+  });
+}
+
+// Shared fetch layer for the background/api adapters: per-provider rate limits, retries
+// with backoff, timeouts and a persisted per-day request counter.
+const FETCH_TIMEOUT_MS = 15_000;
+const FETCH_RETRIES = 2;
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const BACKOFF_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 30_000;
+const USAGE_KEY = 'providerUsage';
+
+// Provider id → { schedule, limits, dailyLimit }
+const providerPolicies = new Map();
+// Provider id → Set of listeners told how each providerFetch ended
+const responseListeners = new Map();
+
+/**
+ * Sets a provider's request policy. The rate limiter is kept while its limits stay the same,
+ * so queued requests keep their spacing; different limits replace it.
+ * @param {string} id Provider id, as passed to providerFetch.
+ * @param {object} [policy]
+ * @param {{concurrency?: number, minIntervalMs?: number}} [policy.rateLimit] Missing keeps
+ *   the current limits (none at first).
+ * @param {number} [policy.dailyLimit] Requests allowed per day, 0 for no cap. Missing keeps
+ *   the current cap.
+ */
+export function configureProvider(id, { rateLimit, dailyLimit } = {}) {
+  const current = providerPolicies.get(id);
+  const limits = { concurrency: 1, minIntervalMs: 0, ...(rateLimit || current?.limits) };
+  const sameLimits = current
+    && current.limits.concurrency === limits.concurrency
+    && current.limits.minIntervalMs === limits.minIntervalMs;
+  const policy = sameLimits ? current : { schedule: createRateLimiter(limits), limits, dailyLimit: current?.dailyLimit || 0 };
+  if (dailyLimit !== undefined) policy.dailyLimit = Number(dailyLimit) || 0;
+  providerPolicies.set(id, policy);
+}
+
+function policyFor(id) {
+  if (!providerPolicies.has(id)) configureProvider(id);
+  return providerPolicies.get(id);
+}
+
+function localDay(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Usage writes are serialized so concurrent requests cannot lose counts
+let usageQueue = Promise.resolve();
+
+async function readUsage() {
+  const result = await chrome.storage.local.get([USAGE_KEY]);
+  const usage = result[USAGE_KEY];
+  return usage?.day === localDay() ? usage : { day: localDay(), counts: {} };
+}
+
+// Counts one request against today's total; false when the daily limit is already reached
+function reserveRequest(id, dailyLimit) {
+  const run = usageQueue.then(async () => {
+    const usage = await readUsage();
+    const used = usage.counts[id] || 0;
+    if (dailyLimit > 0 && used >= dailyLimit) return false;
+    usage.counts[id] = used + 1;
+    await chrome.storage.local.set({ [USAGE_KEY]: usage });
+    return true;
+  });
+  usageQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Requests made today per provider, in local time.
+ * @returns {Promise<Object<string, number>>} Provider id → request count.
+ */
+export async function getProviderUsage() {
+  const usage = await readUsage();
+  return usage.counts;
+}
+
+/**
+ * Calls listener whenever a providerFetch for the provider ends, with a clone of the final
+ * response or the error that ended it. Adapters swallow their errors, so this is how a
+ * connection test learns why a provider came back empty. Events carry the request's tag so
+ * a listener can skip traffic from searches running at the same time.
+ * @param {string} id Provider id, as passed to providerFetch.
+ * @param {function({response?: Response, error?: Error, tag?: string}): void} listener
+ * @returns {function(): void} Removes the listener.
+ */
+export function onProviderResponse(id, listener) {
+  if (!responseListeners.has(id)) responseListeners.set(id, new Set());
+  responseListeners.get(id).add(listener);
+  return () => responseListeners.get(id)?.delete(listener);
+}
+
+function notifyResponseListeners(id, { response, error, tag }) {
+  responseListeners.get(id)?.forEach(listener => listener(response ? { response: response.clone(), tag } : { error, tag }));
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function retryAfterMs(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  return BACKOFF_BASE_MS * 2 ** attempt + Math.floor(Math.random() * BACKOFF_BASE_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  // A caller's signal (e.g. a cancelled search) aborts the request too
+  const onAbort = () => controller.abort();
+  if (init.signal?.aborted) controller.abort();
+  init.signal?.addEventListener('abort', onAbort);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+    init.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * fetch() for provider APIs. Requests run through the provider's rate limiter and count
+ * toward its daily usage. 429 and 5xx responses, timeouts and network errors are retried
+ * with exponential backoff, honouring Retry-After.
+ * @param {string} id Provider id, e.g. 'SerpApi'.
+ * @param {string} url The request URL.
+ * @param {RequestInit} [init] fetch options; init.signal cancels the request and any retries.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] Per-attempt timeout.
+ * @param {number} [options.retries] Retries after the first attempt.
+ * @param {string} [options.tag] Passed through to onProviderResponse listeners.
+ * @returns {Promise<Response>} The last response, which may still be an error status.
+ * @throws {Error} When the daily limit is reached, the caller aborts, or every attempt fails
+ *   without a response.
+ */
+export async function providerFetch(id, url, init = {}, options = {}) {
+  try {
+    const response = await fetchWithRetries(id, url, init, options);
+    notifyResponseListeners(id, { response, tag: options.tag });
+    return response;
+  } catch (error) {
+    notifyResponseListeners(id, { error, tag: options.tag });
+    throw error;
+  }
+}
+
+async function fetchWithRetries(id, url, init, { timeoutMs = FETCH_TIMEOUT_MS, retries = FETCH_RETRIES }) {
+  const policy = policyFor(id);
+
+  for (let attempt = 0; ; attempt++) {
+    if (init.signal?.aborted) throw cancellation(init.signal);
+
+    let response;
+    let failure;
+    try {
+      response = await policy.schedule(async () => {
+        if (!(await reserveRequest(id, policy.dailyLimit))) {
+          const error = new Error(`Daily limit of ${policy.dailyLimit} requests reached.`);
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        return fetchWithTimeout(url, init, timeoutMs);
+      }, init.signal);
+    } catch (error) {
+      if (init.signal?.aborted || error.name === 'QuotaExceededError') throw error;
+      failure = error.name === 'AbortError' ? new Error(`No response within ${timeoutMs / 1000}s.`) : error;
+    }
+
+    const retryable = failure || RETRY_STATUSES.has(response.status);
+    if (!retryable || attempt >= retries) {
+      if (failure) throw failure;
+      return response;
+    }
+
+    const delay = Math.min((response && retryAfterMs(response)) ?? backoffMs(attempt), MAX_RETRY_DELAY_MS);
+    console.warn(`[${id}] ${failure ? failure.message : `HTTP ${response.status}`}; retrying in ${delay}ms`);
+    await sleep(delay);
+  }
+}
+
+// Image downloads and probes in flight across the worker. They are not API calls, so they
+// count against no provider's rate limit or daily quota.
+const RESOURCE_CONCURRENCY = 8;
+const scheduleResource = createRateLimiter({ concurrency: RESOURCE_CONCURRENCY });
+
+/**
+ * fetch() for files results point at (images, thumbnails), as opposed to provider APIs.
+ * Requests share one concurrency limit; one cancelled while it waits never starts.
+ * @param {string} url The file URL.
+ * @param {RequestInit} [init] fetch options; init.signal cancels the request.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] Abort the request after this long.
+ * @returns {Promise<Response>}
+ */
+export async function fetchResource(url, init = {}, { timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  return scheduleResource(() => fetchWithTimeout(url, init, timeoutMs), init.signal);
+}
+
 export async function headCheck(url) {
   try {
-    const res = await fetch(url, { method: 'HEAD' });
+    const res = await fetchResource(url, { method: 'HEAD' });
     const contentType = res.headers.get('content-type') || '';
     const lenStr = res.headers.get('content-length');
     const contentLength = lenStr ? Number(lenStr) : null;
@@ -80,6 +364,59 @@ export async function headCheck(url) {
   }
 }
 
+/**
+ * Parses a srcset attribute into its candidates.
+ * @param {string} value The srcset value, e.g. "a.jpg 640w, b.jpg 1280w".
+ * @param {string} [base] Base URL for relative candidates.
+ * @returns {Array<{url: string, width: number|null, density: number|null}>}
+ */
+export function parseSrcset(value, base) {
+  const candidates = [];
+  const text = value || '';
+  let i = 0;
+  while (i < text.length) {
+    while (i < text.length && /[\s,]/.test(text[i])) i++;
+    let start = i;
+    while (i < text.length && !/\s/.test(text[i])) i++;
+    let url = text.slice(start, i);
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      // "a.jpg, b.jpg": a candidate without descriptors
+      url = url.replace(/,+$/, '');
+    } else {
+      start = i;
+      while (i < text.length && text[i] !== ',') i++;
+      descriptor = text.slice(start, i).trim();
+    }
+    if (!url) continue;
+    const width = /(\d+)w\b/.exec(descriptor);
+    const density = /([\d.]+)x\b/.exec(descriptor);
+    let resolved = url;
+    try { resolved = new URL(url, base).toString(); } catch { /* keep as written */ }
+    candidates.push({
+      url: resolved,
+      width: width ? Number(width[1]) : null,
+      density: density ? Number(density[1]) : null
+    });
+  }
+  return candidates;
+}
+
+// Renditions of one picture share a file name once size suffixes are removed,
+// e.g. photo-640x360.jpg, photo-1280x720.jpg and photo.jpg?w=2000
+function imageFamily(url) {
+  try {
+    return (new URL(url).pathname.split('/').pop() || '')
+      .toLowerCase()
+      .replace(/\.(jpe?g|png|webp|avif)$/, '')
+      .replace(/[-_]?\d{2,4}x\d{2,4}$/, '')
+      .replace(/@\d+x$/, '')
+      .replace(/[-_](scaled|large|medium|small|thumb|thumbnail)$/, '');
+  } catch {
+    return '';
+  }
+}
+
 export async function fetchOpenGraphData(pageUrl) {
   try {
     const response = await fetch(pageUrl);
@@ -130,13 +467,17 @@ export async function fetchOpenGraphData(pageUrl) {
     const widthVals = getMetaAll('og:image:width').map(Number);
     const heightVals = getMetaAll('og:image:height').map(Number);
     let chosen = candidates[0] || null;
+    let chosenIdx = 0;
     if (candidates.length > 1 && widthVals.length && heightVals.length) {
       let bestIdx = 0; let bestArea = 0;
       for (let i = 0; i < Math.min(widthVals.length, heightVals.length); i++) {
         const area = (Number(widthVals[i]) || 0) * (Number(heightVals[i]) || 0);
         if (area > bestArea && candidates[i]) { bestArea = area; bestIdx = i; }
       }
-      if (candidates[bestIdx]) chosen = candidates[bestIdx];
+      if (candidates[bestIdx]) {
+        chosen = candidates[bestIdx];
+        chosenIdx = bestIdx;
+      }
     } else if (candidates.length > 0) {
       chosen = candidates[0];
     }
@@ -150,6 +491,7 @@ export async function fetchOpenGraphData(pageUrl) {
       const altRe = /\balt=["']([^"']*)["']/i;
       const dataSrcRe = /\b(data-src|data-original|data-lazy-src)=["']([^"']+)["']/i;
       const srcsetRe = /\bsrcset=["']([^"']+)["']/i;
+      const dataSrcsetRe = /\bdata-srcset=["']([^"']+)["']/i;
       let m;
       const chosenBase = (() => { try { const u = new URL(chosen || ''); return (u.pathname.split('/').pop() || '').toLowerCase(); } catch { return ''; } })();
       while ((m = imgTagRe.exec(html)) !== null) {
@@ -179,16 +521,41 @@ export async function fetchOpenGraphData(pageUrl) {
         const altM = tag.match(altRe);
         const alt = altM && altM[1] ? altM[1] : '';
         imageCandidates.push({ url: abs, alt });
+        // Every srcset rendition, so a larger copy of the lead image can be found
+        const srcsetValue = tag.match(srcsetRe)?.[1] || tag.match(dataSrcsetRe)?.[1];
+        parseSrcset(srcsetValue, canonical).forEach(c => imageCandidates.push({ url: c.url, alt, width: c.width }));
         if (!altText && chosen && (abs === chosen || (chosenBase && absBase && absBase.includes(chosenBase)))) {
           if (alt) altText = alt;
         }
       }
+      // <picture><source srcset> renditions
+      const sourceRe = /<source\b[^>]*\bsrcset=["']([^"']+)["'][^>]*>/ig;
+      while ((m = sourceRe.exec(html)) !== null) {
+        parseSrcset(m[1], canonical).forEach(c => imageCandidates.push({ url: c.url, alt: '', width: c.width }));
+      }
     } catch {}
 
+    // Largest rendition of the chosen image; without an og:image, the largest srcset candidate
+    let leadImage = null;
+    if (chosen) {
+      const family = imageFamily(chosen);
+      leadImage = { url: chosen, width: widthVals[chosenIdx] || null, height: heightVals[chosenIdx] || null };
+      for (const c of imageCandidates) {
+        if (c.width && c.width > (leadImage.width || 0) && family && imageFamily(c.url) === family) {
+          leadImage = { url: c.url, width: c.width, height: null };
+        }
+      }
+    } else {
+      for (const c of imageCandidates) {
+        if (c.width && c.width > (leadImage?.width || 0)) leadImage = { url: c.url, width: c.width, height: null };
+      }
+    }
+
     return {
       title,
       description,
       image: chosen,
+      leadImage,
       alt: altText,
       images: imageCandidates,
       siteName,
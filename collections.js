@@ -0,0 +1,286 @@
+document.addEventListener('DOMContentLoaded', function() {
+  const collectionSelect = document.getElementById('collectionSelect');
+  const newCollectionName = document.getElementById('newCollectionName');
+  const createCollectionBtn = document.getElementById('createCollectionBtn');
+  const collectionActions = document.getElementById('collectionActions');
+  const collectionStatus = document.getElementById('collectionStatus');
+  const itemsGrid = document.getElementById('collectionItems');
+  const recheckBtn = document.getElementById('recheckBtn');
+
+  const urlParams = new URLSearchParams(window.location.search);
+  let collections = [];
+  let currentId = urlParams.get('id');
+  let draggedItemId = null;
+
+  async function send(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) throw new Error(response?.error || 'Request failed');
+    return response.data;
+  }
+
+  function setStatus(text) {
+    collectionStatus.textContent = text;
+  }
+
+  function currentCollection() {
+    return collections.find(c => c.id === currentId) || null;
+  }
+
+  function formatDate(iso) {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+  }
+
+  function renderSelect() {
+    collectionSelect.innerHTML = '';
+    if (collections.length === 0) {
+      const option = document.createElement('option');
+      option.textContent = 'No collections yet';
+      option.value = '';
+      collectionSelect.appendChild(option);
+      collectionSelect.disabled = true;
+      return;
+    }
+    collectionSelect.disabled = false;
+    collections.forEach(collection => {
+      const option = document.createElement('option');
+      option.value = collection.id;
+      option.textContent = `${collection.name} (${collection.items.length})`;
+      collectionSelect.appendChild(option);
+    });
+    collectionSelect.value = currentId;
+  }
+
+  function describeLink(item) {
+    const status = item.linkStatus;
+    if (!status) return null;
+    if (status.ok) return { text: `Live · checked ${formatDate(status.checkedAt)}`, ok: true };
+    return { text: `Dead or blocked · checked ${formatDate(status.checkedAt)}`, ok: false };
+  }
+
+  function createItemCard(item, index, total) {
+    const card = document.createElement('div');
+    card.className = 'image-card collection-item';
+    card.draggable = true;
+    card.dataset.itemId = item.id;
+
+    const link = document.createElement('a');
+    link.href = item.imageUrl;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'image-link';
+    const img = document.createElement('img');
+    img.className = 'image-thumb loading';
+    img.alt = item.title || 'Saved image';
+    img.loading = 'lazy';
+    img.referrerPolicy = 'no-referrer';
+    img.onload = () => {
+      img.classList.remove('loading');
+      img.classList.add('loaded');
+    };
+    img.src = item.thumbnail || item.imageUrl;
+    link.appendChild(img);
+    card.appendChild(link);
+
+    const meta = document.createElement('div');
+    meta.className = 'image-credit';
+    const parts = [];
+    if (item.width && item.height) parts.push(`${item.width} × ${item.height}`);
+    if (item.source) parts.push(item.source);
+    if (item.query) parts.push(`“${item.query}”`);
+    if (item.addedAt) parts.push(formatDate(item.addedAt));
+    if (item.pageUrl) {
+      const pageLink = document.createElement('a');
+      pageLink.href = item.pageUrl;
+      pageLink.target = '_blank';
+      pageLink.rel = 'noopener noreferrer';
+      pageLink.textContent = parts.join(' · ') || item.pageUrl;
+      meta.appendChild(pageLink);
+    } else {
+      meta.textContent = parts.join(' · ');
+    }
+    card.appendChild(meta);
+
+    const linkStatus = describeLink(item);
+    if (linkStatus) {
+      const badge = document.createElement('div');
+      badge.className = `link-status ${linkStatus.ok ? 'link-ok' : 'link-dead'}`;
+      badge.textContent = linkStatus.text;
+      card.appendChild(badge);
+    }
+
+    const note = document.createElement('textarea');
+    note.className = 'collection-note';
+    note.placeholder = 'Add a note…';
+    note.rows = 2;
+    note.value = item.note || '';
+    note.addEventListener('change', async () => {
+      try {
+        await send({ action: 'collection_set_note', collectionId: currentId, itemId: item.id, note: note.value });
+        setStatus('Note saved.');
+      } catch (error) {
+        setStatus(`Could not save note: ${error.message}`);
+      }
+    });
+    card.appendChild(note);
+
+    const controls = document.createElement('div');
+    controls.className = 'collection-item-controls';
+    const addButton = (label, title, disabled, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'more-btn';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      controls.appendChild(button);
+    };
+    addButton('↑', 'Move up', index === 0, () => moveItem(item.id, index - 1));
+    addButton('↓', 'Move down', index === total - 1, () => moveItem(item.id, index + 1));
+    addButton('Remove', 'Remove from collection', false, () => removeItem(item.id));
+    card.appendChild(controls);
+
+    // Drag to reorder
+    card.addEventListener('dragstart', () => {
+      draggedItemId = item.id;
+      card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => {
+      draggedItemId = null;
+      card.classList.remove('dragging');
+    });
+    card.addEventListener('dragover', (e) => {
+      if (draggedItemId && draggedItemId !== item.id) e.preventDefault();
+    });
+    card.addEventListener('drop', (e) => {
+      e.preventDefault();
+      if (draggedItemId && draggedItemId !== item.id) moveItem(draggedItemId, index);
+    });
+
+    return card;
+  }
+
+  function renderItems() {
+    const collection = currentCollection();
+    collectionActions.hidden = !collection;
+    itemsGrid.innerHTML = '';
+    if (!collection) {
+      itemsGrid.innerHTML = '<div class="no-results">Create a collection, then save images to it from the results page.</div>';
+      return;
+    }
+    if (collection.items.length === 0) {
+      itemsGrid.innerHTML = '<div class="no-results">This collection is empty.</div>';
+      return;
+    }
+    collection.items.forEach((item, index) => {
+      itemsGrid.appendChild(createItemCard(item, index, collection.items.length));
+    });
+  }
+
+  function replaceCollection(updated) {
+    const index = collections.findIndex(c => c.id === updated.id);
+    if (index !== -1) collections[index] = updated;
+    renderSelect();
+    renderItems();
+  }
+
+  async function load() {
+    try {
+      collections = await send({ action: 'collections_list' });
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+      collections = [];
+    }
+    if (!collections.some(c => c.id === currentId)) currentId = collections[0]?.id || null;
+    renderSelect();
+    renderItems();
+  }
+
+  async function moveItem(itemId, toIndex) {
+    try {
+      replaceCollection(await send({ action: 'collection_move_item', collectionId: currentId, itemId, toIndex }));
+    } catch (error) {
+      setStatus(`Could not move item: ${error.message}`);
+    }
+  }
+
+  async function removeItem(itemId) {
+    try {
+      replaceCollection(await send({ action: 'collection_remove_item', collectionId: currentId, itemId }));
+    } catch (error) {
+      setStatus(`Could not remove item: ${error.message}`);
+    }
+  }
+
+  collectionSelect.addEventListener('change', () => {
+    currentId = collectionSelect.value;
+    const newUrl = new URL(window.location);
+    newUrl.searchParams.set('id', currentId);
+    window.history.replaceState({}, '', newUrl);
+    setStatus('');
+    renderItems();
+  });
+
+  createCollectionBtn.addEventListener('click', async () => {
+    const name = newCollectionName.value.trim();
+    if (!name) {
+      newCollectionName.focus();
+      return;
+    }
+    try {
+      const collection = await send({ action: 'collection_create', name });
+      newCollectionName.value = '';
+      currentId = collection.id;
+      await load();
+    } catch (error) {
+      setStatus(`Could not create collection: ${error.message}`);
+    }
+  });
+
+  document.getElementById('renameCollectionBtn').addEventListener('click', async () => {
+    const collection = currentCollection();
+    if (!collection) return;
+    const name = window.prompt('Rename collection', collection.name);
+    if (!name || name.trim() === collection.name) return;
+    try {
+      replaceCollection(await send({ action: 'collection_rename', collectionId: currentId, name }));
+    } catch (error) {
+      setStatus(`Could not rename: ${error.message}`);
+    }
+  });
+
+  document.getElementById('deleteCollectionBtn').addEventListener('click', async () => {
+    const collection = currentCollection();
+    if (!collection || !window.confirm(`Delete "${collection.name}" and its ${collection.items.length} item(s)?`)) return;
+    try {
+      await send({ action: 'collection_delete', collectionId: currentId });
+      currentId = null;
+      await load();
+    } catch (error) {
+      setStatus(`Could not delete: ${error.message}`);
+    }
+  });
+
+  recheckBtn.addEventListener('click', async () => {
+    recheckBtn.disabled = true;
+    setStatus('Checking links…');
+    try {
+      const updated = await send({ action: 'collection_recheck', collectionId: currentId });
+      replaceCollection(updated);
+      const dead = updated.items.filter(item => item.linkStatus && !item.linkStatus.ok).length;
+      setStatus(dead ? `${dead} dead or blocked link(s).` : 'All links are live.');
+    } catch (error) {
+      setStatus(`Check failed: ${error.message}`);
+    } finally {
+      recheckBtn.disabled = false;
+    }
+  });
+
+  // Items saved from a results tab show up here without a reload
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.collections) load();
+  });
+
+  load();
+});
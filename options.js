@@ -0,0 +1,472 @@
+document.addEventListener('DOMContentLoaded', function() {
+  const form = document.getElementById('settingsForm');
+  const saveBtn = document.getElementById('saveBtn');
+  const saveStatus = document.getElementById('saveStatus');
+  const providerList = document.getElementById('providerList');
+  const clearCacheBtn = document.getElementById('clearCacheBtn');
+  const cacheStatus = document.getElementById('cacheStatus');
+  const testAllBtn = document.getElementById('testAllBtn');
+  const providerTests = document.getElementById('providerTests');
+
+  // Settings as last loaded from the background; unknown keys are preserved on save
+  let loadedSettings = null;
+  // What each provider row shows when nothing is stored for it, by field path
+  let providerDefaults = {};
+
+  // Provider rows are rendered from the registry, so fields are looked up each time
+  function getFields() {
+    return Array.from(form.querySelectorAll('[data-field]'));
+  }
+
+  function getPath(obj, path) {
+    return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+  }
+
+  function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((acc, key) => {
+      if (typeof acc[key] !== 'object' || acc[key] === null) acc[key] = {};
+      return acc[key];
+    }, obj);
+    target[last] = value;
+  }
+
+  function readField(input) {
+    switch (input.dataset.type) {
+      case 'boolean':
+        return input.checked;
+      case 'number':
+        return input.value.trim() === '' ? NaN : Number(input.value);
+      default:
+        return input.value.trim();
+    }
+  }
+
+  function fillForm(settings) {
+    getFields().forEach(input => {
+      const value = getPath(settings, input.dataset.field) ?? providerDefaults[input.dataset.field];
+      if (input.dataset.type === 'boolean') {
+        input.checked = Boolean(value);
+      } else {
+        input.value = value ?? '';
+      }
+    });
+  }
+
+  function collectSettings() {
+    const settings = JSON.parse(JSON.stringify(loadedSettings || {}));
+    getFields()
+      // Untouched provider fields stay unset, so later changes to their defaults still apply
+      .filter(input => !(input.dataset.field in providerDefaults) || input.dataset.changed)
+      .forEach(input => setPath(settings, input.dataset.field, readField(input)));
+    return settings;
+  }
+
+  function clearErrors() {
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    getFields().forEach(input => input.removeAttribute('aria-invalid'));
+  }
+
+  function showErrors(errors) {
+    const fields = getFields();
+    errors.forEach(({ field, message }) => {
+      const input = fields.find(el => el.dataset.field === field);
+      const error = document.createElement('div');
+      error.className = 'field-error';
+      error.textContent = message;
+      if (input) {
+        input.setAttribute('aria-invalid', 'true');
+        input.closest('.settings-field').appendChild(error);
+      } else {
+        saveStatus.textContent = message;
+      }
+    });
+  }
+
+  function setStatus(text) {
+    saveStatus.textContent = text;
+  }
+
+  const CATEGORY_LABELS = { images: 'Images', videos: 'Videos', news: 'News', reverse: 'Reverse image search' };
+  const PROVIDER_WEIGHTS = [0, 1, 2, 3, 4, 5];
+
+  function createProviderRow(provider) {
+    const row = document.createElement('div');
+    row.className = 'settings-field provider-row';
+
+    const toggleId = `provider-${provider.id}-enabled`;
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.id = toggleId;
+    toggle.dataset.field = `providerConfig.${provider.id}.enabled`;
+    toggle.dataset.type = 'boolean';
+
+    const label = document.createElement('label');
+    label.htmlFor = toggleId;
+    label.className = 'provider-name';
+    label.textContent = provider.label;
+
+    const weight = document.createElement('select');
+    weight.className = 'provider-weight';
+    weight.dataset.field = `providerConfig.${provider.id}.weight`;
+    weight.dataset.type = 'number';
+    weight.setAttribute('aria-label', `${provider.label} weight`);
+    PROVIDER_WEIGHTS.forEach(value => weight.add(new Option(`Weight ${value}`, String(value))));
+
+    const cap = document.createElement('input');
+    cap.type = 'number';
+    cap.className = 'provider-cap';
+    cap.min = '0';
+    cap.step = '1';
+    cap.dataset.field = `providerConfig.${provider.id}.dailyLimit`;
+    cap.dataset.type = 'number';
+    cap.title = 'Daily request cap (0 for none)';
+    cap.setAttribute('aria-label', `${provider.label} daily request cap`);
+
+    const usage = document.createElement('span');
+    usage.className = 'provider-usage';
+    usage.textContent = provider.dailyLimit > 0
+      ? `${provider.usedToday} / ${provider.dailyLimit} requests today`
+      : `${provider.usedToday} requests today`;
+
+    const notes = [];
+    if (provider.paid) notes.push('paid; needs "Use paid image APIs"');
+    if (provider.experimental) notes.push('experimental: undocumented endpoint, off by default');
+    if (!provider.configured) notes.push(`needs ${provider.requiredKeys.join(' and ')}`);
+    if (provider.category === 'reverse' && !provider.acceptsUpload) notes.push('image URLs only, not pasted files');
+    const hint = document.createElement('span');
+    hint.className = 'settings-hint';
+    hint.textContent = notes.join(' · ');
+
+    row.append(toggle, label, weight, cap, usage, hint);
+    return row;
+  }
+
+  async function renderProviders() {
+    const response = await chrome.runtime.sendMessage({ action: 'list_providers' });
+    const providers = response?.data || [];
+    providerList.innerHTML = '';
+    Object.entries(CATEGORY_LABELS).forEach(([category, title]) => {
+      const group = providers.filter(provider => provider.category === category);
+      if (group.length === 0) return;
+      const heading = document.createElement('div');
+      heading.className = 'provider-group';
+      heading.textContent = title;
+      providerList.appendChild(heading);
+      group.forEach(provider => providerList.appendChild(createProviderRow(provider)));
+    });
+    providerDefaults = {};
+    providers.forEach(provider => {
+      ['enabled', 'weight', 'dailyLimit'].forEach(key => {
+        providerDefaults[`providerConfig.${provider.id}.${key}`] = provider[key];
+      });
+    });
+  }
+
+  providerList.addEventListener('input', (e) => {
+    if (e.target.dataset.field) e.target.dataset.changed = 'true';
+  });
+
+  async function loadSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'get_settings' });
+      loadedSettings = response?.data || null;
+      if (loadedSettings) {
+        await renderProviders();
+        fillForm(loadedSettings);
+      }
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      setStatus('Could not load settings.');
+    }
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearErrors();
+    setStatus('');
+    saveBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'save_settings',
+        settings: collectSettings()
+      });
+
+      if (response?.success) {
+        loadedSettings = response.data;
+        // Key changes can make providers available, so refresh their hints
+        await renderProviders();
+        fillForm(loadedSettings);
+        setStatus('Saved.');
+      } else {
+        showErrors(response?.errors || []);
+        if (!saveStatus.textContent) setStatus('Please fix the highlighted fields.');
+      }
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      setStatus('Save failed. Please try again.');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  clearCacheBtn.addEventListener('click', async () => {
+    clearCacheBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'cache_clear' });
+      cacheStatus.textContent = response?.success ? 'Cache cleared.' : 'Could not clear the cache.';
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      cacheStatus.textContent = 'Could not clear the cache.';
+    } finally {
+      clearCacheBtn.disabled = false;
+    }
+  });
+
+  const ERROR_LABELS = {
+    missing_key: 'Not configured',
+    bad_key: 'Bad key',
+    quota_exceeded: 'Quota exceeded',
+    parse_failure: 'Parse failure',
+    timeout: 'Timed out',
+    network: 'Network error',
+    server_error: 'Provider error',
+    http_error: 'HTTP error'
+  };
+
+  function describeQuota(quota) {
+    return Object.entries(quota || {})
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(' · ');
+  }
+
+  function renderReport(report) {
+    let row = providerTests.querySelector(`[data-provider="${report.provider}"]`);
+    if (!row) {
+      row = document.createElement('div');
+      row.className = 'provider-test';
+      row.dataset.provider = report.provider;
+      providerTests.appendChild(row);
+    }
+    row.className = `provider-test provider-${report.status}`;
+    row.innerHTML = '';
+
+    const name = document.createElement('span');
+    name.className = 'provider-name';
+    name.textContent = report.label;
+
+    const status = document.createElement('span');
+    status.className = 'provider-status';
+    if (report.status === 'ok') {
+      status.textContent = `OK · ${report.latencyMs} ms · ${report.resultCount} result(s)`;
+    } else {
+      const kind = ERROR_LABELS[report.error?.kind] || 'Error';
+      status.textContent = report.latencyMs != null ? `${kind} · ${report.latencyMs} ms` : kind;
+    }
+
+    const retest = document.createElement('button');
+    retest.type = 'button';
+    retest.className = 'more-btn';
+    retest.textContent = 'Test';
+    retest.addEventListener('click', () => runTests(report.provider));
+
+    row.append(name, status, retest);
+
+    const detail = report.status === 'ok' ? describeQuota(report.quota) : report.error?.message;
+    if (detail) {
+      const info = document.createElement('div');
+      info.className = 'provider-detail';
+      info.textContent = detail;
+      row.appendChild(info);
+    }
+  }
+
+  async function runTests(provider) {
+    testAllBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'test_provider', provider });
+      if (response?.error) throw new Error(response.error);
+      (response?.data || []).forEach(renderReport);
+    } catch (error) {
+      console.error('Provider test failed:', error);
+      providerTests.textContent = 'Connection test failed. Please try again.';
+    } finally {
+      testAllBtn.disabled = false;
+    }
+  }
+
+  testAllBtn.addEventListener('click', () => runTests());
+
+  // Watched searches
+  const watcherQuery = document.getElementById('watcherQuery');
+  const watcherInterval = document.getElementById('watcherInterval');
+  const addWatcherBtn = document.getElementById('addWatcherBtn');
+  const watcherStatus = document.getElementById('watcherStatus');
+  const watcherList = document.getElementById('watcherList');
+
+  const WATCH_INTERVALS = [
+    { minutes: 60, label: 'Every hour' },
+    { minutes: 180, label: 'Every 3 hours' },
+    { minutes: 360, label: 'Every 6 hours' },
+    { minutes: 720, label: 'Every 12 hours' },
+    { minutes: 1440, label: 'Daily' }
+  ];
+
+  function fillIntervals(select, selected) {
+    WATCH_INTERVALS.forEach(({ minutes, label }) => {
+      const option = document.createElement('option');
+      option.value = String(minutes);
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = String(selected);
+  }
+
+  fillIntervals(watcherInterval, 360);
+
+  async function watcherAction(action, fields = {}) {
+    const response = await chrome.runtime.sendMessage({ action, ...fields });
+    if (!response?.success) throw new Error(response?.error || 'Request failed');
+    return response.data;
+  }
+
+  // Results open with the overrides the watcher runs with
+  function resultsParams(watcher) {
+    const options = watcher.options || {};
+    const params = new URLSearchParams({ q: watcher.query });
+    if (options.minImageMegaPixels !== undefined) params.set('mp', String(options.minImageMegaPixels));
+    if (options.maxResultsPerCategory !== undefined) params.set('max', String(options.maxResultsPerCategory));
+    if (options.requireAllTerms !== undefined) params.set('all', options.requireAllTerms ? '1' : '0');
+    if (options.usePaidImageAPIs !== undefined) params.set('paid', options.usePaidImageAPIs ? '1' : '0');
+    return params;
+  }
+
+  function describeWatcher(watcher) {
+    const parts = [];
+    parts.push(watcher.lastRunAt ? `Last run ${new Date(watcher.lastRunAt).toLocaleString()}` : 'Not run yet');
+    if (watcher.unseenCount > 0) parts.push(`${watcher.unseenCount} new`);
+    if (watcher.lastError) parts.push(`Error: ${watcher.lastError}`);
+    return parts.join(' · ');
+  }
+
+  function renderWatcher(watcher) {
+    const row = document.createElement('div');
+    row.className = `watcher-row${watcher.enabled ? '' : ' watcher-paused'}`;
+
+    const name = document.createElement('a');
+    name.className = 'watcher-query';
+    name.href = `results.html?${resultsParams(watcher)}`;
+    name.target = '_blank';
+    name.textContent = watcher.query;
+    name.title = 'Open results';
+    // Opening the results counts as having seen the new images
+    name.addEventListener('click', () => {
+      watcherAction('watcher_mark_seen', { watcherId: watcher.id }).catch(() => {});
+    });
+
+    if (watcher.unseenCount > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'new-count';
+      badge.textContent = String(watcher.unseenCount);
+      name.appendChild(badge);
+    }
+
+    const interval = document.createElement('select');
+    interval.className = 'watcher-interval';
+    interval.setAttribute('aria-label', `Check "${watcher.query}" every`);
+    fillIntervals(interval, watcher.intervalMinutes);
+    interval.addEventListener('change', () => {
+      watcherAction('watcher_update', { watcherId: watcher.id, changes: { intervalMinutes: Number(interval.value) } })
+        .catch(error => { watcherStatus.textContent = error.message; });
+    });
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'watcher-enabled';
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = watcher.enabled;
+    enabled.addEventListener('change', () => {
+      watcherAction('watcher_update', { watcherId: watcher.id, changes: { enabled: enabled.checked } })
+        .catch(error => { watcherStatus.textContent = error.message; });
+    });
+    enabledLabel.append(enabled, ' On');
+
+    const runBtn = document.createElement('button');
+    runBtn.type = 'button';
+    runBtn.className = 'more-btn';
+    runBtn.textContent = 'Run now';
+    runBtn.addEventListener('click', async () => {
+      runBtn.disabled = true;
+      runBtn.textContent = 'Running…';
+      try {
+        const result = await watcherAction('watcher_run', { watcherId: watcher.id });
+        watcherStatus.textContent = `"${watcher.query}": ${result.newImages.length} new image(s).`;
+      } catch (error) {
+        watcherStatus.textContent = error.message;
+        runBtn.disabled = false;
+        runBtn.textContent = 'Run now';
+      }
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'more-btn danger-btn';
+    deleteBtn.textContent = 'Remove';
+    deleteBtn.addEventListener('click', () => {
+      if (!window.confirm(`Stop watching "${watcher.query}"?`)) return;
+      watcherAction('watcher_delete', { watcherId: watcher.id })
+        .catch(error => { watcherStatus.textContent = error.message; });
+    });
+
+    const detail = document.createElement('div');
+    detail.className = 'provider-detail';
+    detail.textContent = describeWatcher(watcher);
+
+    row.append(name, interval, enabledLabel, runBtn, deleteBtn, detail);
+    return row;
+  }
+
+  async function loadWatchers() {
+    try {
+      const watchers = await watcherAction('watchers_list');
+      watcherList.innerHTML = '';
+      if (watchers.length === 0) {
+        watcherList.textContent = 'No watched searches yet.';
+      }
+      watchers.forEach(watcher => watcherList.appendChild(renderWatcher(watcher)));
+    } catch (error) {
+      console.error('Could not load watchers:', error);
+      watcherList.textContent = 'Could not load watched searches.';
+    }
+  }
+
+  addWatcherBtn.addEventListener('click', async () => {
+    const query = watcherQuery.value.trim();
+    if (!query) {
+      watcherQuery.focus();
+      return;
+    }
+    addWatcherBtn.disabled = true;
+    try {
+      await watcherAction('watcher_create', { query, options: {}, intervalMinutes: Number(watcherInterval.value) });
+      watcherQuery.value = '';
+      watcherStatus.textContent = `Watching "${query}".`;
+    } catch (error) {
+      watcherStatus.textContent = error.message;
+    } finally {
+      addWatcherBtn.disabled = false;
+    }
+  });
+
+  // Runs, badge resets and edits from other pages all land in storage
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.watchers) loadWatchers();
+  });
+
+  loadWatchers();
+
+  loadSettings();
+});
@@ -1,12 +1,48 @@
 document.addEventListener('DOMContentLoaded', function() {
   const searchInput = document.getElementById('searchInput');
   const searchBtn = document.getElementById('searchBtn');
+  const settingsLink = document.getElementById('settingsLink');
+  const collectionsLink = document.getElementById('collectionsLink');
+  const scanPageLink = document.getElementById('scanPageLink');
 
-  // Load saved query
-  chrome.storage.local.get(['lastQuery'], (result) => {
-    if (result.lastQuery) {
-      searchInput.value = result.lastQuery;
+  const recentSearches = document.getElementById('recentSearches');
+  const recentList = document.getElementById('recentList');
+
+  const RECENT_LIMIT = 6;
+
+  function openResults(query, options) {
+    const params = new URLSearchParams({ q: query });
+    // Re-runs keep the overrides the search was made with
+    if (options) {
+      if (options.minImageMegaPixels !== undefined) params.set('mp', String(options.minImageMegaPixels));
+      if (options.maxResultsPerCategory !== undefined) params.set('max', String(options.maxResultsPerCategory));
+      if (options.requireAllTerms !== undefined) params.set('all', options.requireAllTerms ? '1' : '0');
+      if (options.usePaidImageAPIs !== undefined) params.set('paid', options.usePaidImageAPIs ? '1' : '0');
     }
+    chrome.tabs.create({ url: chrome.runtime.getURL(`results.html?${params}`) });
+    window.close();
+  }
+
+  // Recent searches; the newest query also pre-fills the input
+  chrome.runtime.sendMessage({ action: 'history_list' }, (response) => {
+    const entries = response?.success ? response.data : [];
+    if (entries.length === 0) return;
+    
+    if (!searchInput.value) searchInput.value = entries[0].query;
+    entries.slice(0, RECENT_LIMIT).forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'recent-item';
+      item.tabIndex = 0;
+      item.setAttribute('role', 'button');
+      item.textContent = entry.query;
+      item.title = `${new Date(entry.timestamp).toLocaleString()} · ${entry.resultCount} results`;
+      item.addEventListener('click', () => openResults(entry.query, entry.options));
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') openResults(entry.query, entry.options);
+      });
+      recentList.appendChild(item);
+    });
+    recentSearches.hidden = false;
   });
 
   function performSearch() {
@@ -16,15 +52,8 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    // Save query
-    chrome.storage.local.set({ lastQuery: query });
-
-    // Open results page
-    const resultsUrl = chrome.runtime.getURL(`results.html?q=${encodeURIComponent(query)}`);
-    chrome.tabs.create({ url: resultsUrl });
-    
-    // Close popup
-    window.close();
+    // Open results page; the run is added to history when it finishes
+    openResults(query);
   }
 
   // Search button click
@@ -37,6 +66,33 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
+  // Settings link
+  settingsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+    window.close();
+  });
+
+  // Scan the tab the popup was opened on; the results page opens next to it
+  scanPageLink.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`results.html?${new URLSearchParams({ scan: String(tab.id) })}`),
+      index: tab.index + 1,
+      openerTabId: tab.id
+    });
+    window.close();
+  });
+
+  // Collections link
+  collectionsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('collections.html') });
+    window.close();
+  });
+
   // Focus search input
   searchInput.focus();
 });
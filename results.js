@@ -7,17 +7,140 @@ document.addEventListener('DOMContentLoaded', function() {
   const imageGrid = document.getElementById('imageGrid');
   const loadingDiv = document.querySelector('.loading');
   const timerSpan = document.getElementById('timer');
+  const providerProgress = document.getElementById('providerProgress');
+  const scrollSentinel = document.getElementById('scrollSentinel');
+  const minMegaPixelsSelect = document.getElementById('minMegaPixels');
+  const maxResultsSelect = document.getElementById('maxResults');
+  const requireAllTermsToggle = document.getElementById('requireAllTerms');
+  const usePaidApisToggle = document.getElementById('usePaidApis');
+  const bypassCacheToggle = document.getElementById('bypassCache');
+  const runSummary = document.getElementById('runSummary');
+  const historyToggle = document.getElementById('historyToggle');
+  const historyPanel = document.getElementById('historyPanel');
+  const historyList = document.getElementById('historyList');
+  const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+  const reverseToggle = document.getElementById('reverseToggle');
+  const reversePanel = document.getElementById('reversePanel');
+  const reverseUrlInput = document.getElementById('reverseUrl');
+  const reverseGoBtn = document.getElementById('reverseGoBtn');
+  const reverseFileInput = document.getElementById('reverseFile');
+  const watchBtn = document.getElementById('watchBtn');
+  const categoryTabs = Array.from(document.querySelectorAll('.category-tab'));
+  const imageResults = document.getElementById('results');
+  const videoResults = document.getElementById('videoResults');
+  const videoFreshnessSelect = document.getElementById('videoFreshness');
+  const videoSortSelect = document.getElementById('videoSort');
+  const videoStatus = document.getElementById('videoStatus');
+  const videoGrid = document.getElementById('videoGrid');
+  const videoMoreBtn = document.getElementById('videoMoreBtn');
+  const videoPlayer = document.getElementById('videoPlayer');
+  const videoStage = document.getElementById('videoStage');
+  const videoTitle = document.getElementById('videoTitle');
+  const videoMeta = document.getElementById('videoMeta');
+  const videoSnippet = document.getElementById('videoSnippet');
+  const newsResults = document.getElementById('newsResults');
+  const newsFreshnessSelect = document.getElementById('newsFreshness');
+  const newsStatus = document.getElementById('newsStatus');
+  const newsList = document.getElementById('newsList');
+  const newsMoreBtn = document.getElementById('newsMoreBtn');
 
   // Get query from URL
   const urlParams = new URLSearchParams(window.location.search);
   const query = urlParams.get('q') || '';
+  // Set instead of q to look up larger copies of an image, or to scan a tab's images
+  const reverseImageUrl = urlParams.get('image') || '';
+  const scanTabId = urlParams.get('scan');
+  const CATEGORIES = ['images', 'videos', 'news'];
+  let activeCategory = CATEGORIES.includes(urlParams.get('cat')) ? urlParams.get('cat') : 'images';
   
-  if (query) {
-    searchInput.value = query;
-    performSearch(query);
+  initSearchControls().then(() => {
+    showCategory(activeCategory);
+    if (scanTabId) {
+      scanPage(Number(scanTabId));
+    } else if (reverseImageUrl) {
+      reverseUrlInput.value = reverseImageUrl;
+      reverseSearch({ imageUrl: reverseImageUrl });
+    } else if (query) {
+      searchInput.value = query;
+      performSearch(query);
+    }
+  });
+
+  function selectValue(select, value) {
+    const text = String(value);
+    if (!Array.from(select.options).some(opt => opt.value === text)) {
+      const option = document.createElement('option');
+      option.value = text;
+      option.textContent = select === minMegaPixelsSelect ? `${text} MP` : text;
+      select.appendChild(option);
+    }
+    select.value = text;
+  }
+
+  // Per-search overrides start from the saved searchConfig; URL params win so reloads keep them
+  async function initSearchControls() {
+    let searchConfig = {};
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'get_settings' });
+      searchConfig = response?.data?.searchConfig || {};
+    } catch (error) {
+      console.warn('Could not load settings:', error);
+    }
+
+    const mp = urlParams.get('mp') ?? searchConfig.minImageMegaPixels ?? 4;
+    const max = urlParams.get('max') ?? searchConfig.maxResultsPerCategory ?? 50;
+    const all = urlParams.has('all') ? urlParams.get('all') === '1' : searchConfig.requireAllTerms !== false;
+    const paid = urlParams.has('paid') ? urlParams.get('paid') === '1' : Boolean(searchConfig.usePaidImageAPIs);
+
+    selectValue(minMegaPixelsSelect, Number(mp));
+    selectValue(maxResultsSelect, Number(max));
+    requireAllTermsToggle.checked = all;
+    usePaidApisToggle.checked = paid;
+    
+    selectValue(videoFreshnessSelect, Number(urlParams.get('vd') ?? searchConfig.videoFreshnessDays ?? 30));
+    videoSortSelect.value = urlParams.get('vs') || searchConfig.videoSort || 'recent';
+    selectValue(newsFreshnessSelect, Number(urlParams.get('nd') ?? searchConfig.newsFreshnessDays ?? 90));
+  }
+
+  function getSearchOptions() {
+    return {
+      minImageMegaPixels: Number(minMegaPixelsSelect.value),
+      maxResultsPerCategory: Number(maxResultsSelect.value),
+      requireAllTerms: requireAllTermsToggle.checked,
+      usePaidImageAPIs: usePaidApisToggle.checked,
+      videoFreshnessDays: Number(videoFreshnessSelect.value),
+      videoSort: videoSortSelect.value,
+      newsFreshnessDays: Number(newsFreshnessSelect.value),
+      bypassCache: bypassCacheToggle.checked
+    };
+  }
+
+  function applySearchOptions(options) {
+    if (options.minImageMegaPixels !== undefined) selectValue(minMegaPixelsSelect, Number(options.minImageMegaPixels));
+    if (options.maxResultsPerCategory !== undefined) selectValue(maxResultsSelect, Number(options.maxResultsPerCategory));
+    if (options.requireAllTerms !== undefined) requireAllTermsToggle.checked = Boolean(options.requireAllTerms);
+    if (options.usePaidImageAPIs !== undefined) usePaidApisToggle.checked = Boolean(options.usePaidImageAPIs);
+  }
+
+  function updateUrl(query) {
+    const options = getSearchOptions();
+    const newUrl = new URL(window.location);
+    newUrl.searchParams.set('q', query);
+    newUrl.searchParams.delete('image');
+    newUrl.searchParams.delete('scan');
+    newUrl.searchParams.set('mp', String(options.minImageMegaPixels));
+    newUrl.searchParams.set('max', String(options.maxResultsPerCategory));
+    newUrl.searchParams.set('all', options.requireAllTerms ? '1' : '0');
+    newUrl.searchParams.set('paid', options.usePaidImageAPIs ? '1' : '0');
+    newUrl.searchParams.set('vd', String(options.videoFreshnessDays));
+    newUrl.searchParams.set('vs', options.videoSort);
+    newUrl.searchParams.set('nd', String(options.newsFreshnessDays));
+    newUrl.searchParams.set('cat', activeCategory);
+    window.history.pushState({}, '', newUrl);
   }
 
   function startTimer() {
+    stopTimer();
     const startTime = Date.now();
     searchTimer = setInterval(() => {
       const elapsed = (Date.now() - startTime) / 1000;
@@ -50,100 +173,1430 @@ document.addEventListener('DOMContentLoaded', function() {
     imageGrid.innerHTML = skeletonHTML;
   }
 
+  function imageKey(image) {
+    return (image.imageUrl || image.url || '').toLowerCase();
+  }
+
+  // Result objects by image key, for the lightbox
+  const imagesByKey = new Map();
+
+  function createImageCard(image) {
+    const imageCard = document.createElement('div');
+    imageCard.className = 'image-card';
+    imageCard.dataset.key = imageKey(image);
+    imagesByKey.set(imageCard.dataset.key, image);
+    
+    const imageLink = document.createElement('a');
+    // FIX: Use imageUrl for direct image link, fallback to url
+    imageLink.href = image.imageUrl || image.url;
+    imageLink.target = '_blank';
+    imageLink.className = 'image-link';
+    imageLink.rel = 'noopener noreferrer';
+    imageLink.addEventListener('click', (e) => {
+      // Modified clicks keep the browser's open-in-new-tab behaviour
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      openLightbox(imageCard.dataset.key);
+    });
+    
+    const img = document.createElement('img');
+    img.className = 'image-thumb loading';
+    img.alt = image.title || 'High resolution image';
+    img.loading = 'lazy';
+    img.referrerPolicy = 'no-referrer';
+    
+    // Handle image load
+    img.onload = () => {
+      img.classList.remove('loading');
+      img.classList.add('loaded');
+    };
+    
+    img.onerror = () => {
+      imageCard.style.display = 'none';
+    };
+    
+    // Use imageUrl for the thumbnail, fallback to url
+    img.src = image.imageUrl || image.thumbnail || image.url;
+    
+    imageLink.appendChild(img);
+    imageCard.appendChild(imageLink);
+    
+    // Not in the previous run of this query
+    if (image._new) {
+      const badge = document.createElement('span');
+      badge.className = 'new-badge';
+      badge.textContent = 'New';
+      badge.title = 'Not in your previous run of this search';
+      imageCard.appendChild(badge);
+    }
+    
+    // Copies of this photo on other sites, folded into this card
+    const mirrorCount = (image._mirrors || []).length;
+    if (mirrorCount > 0) {
+      const mirrors = document.createElement('span');
+      mirrors.className = 'mirror-badge';
+      mirrors.textContent = `+${mirrorCount}`;
+      mirrors.title = `Also found at ${mirrorCount} other ${mirrorCount === 1 ? 'address' : 'addresses'}`;
+      imageCard.appendChild(mirrors);
+    }
+    
+    // Multi-select for batch downloads
+    const select = document.createElement('input');
+    select.type = 'checkbox';
+    select.className = 'image-select';
+    select.setAttribute('aria-label', 'Select image');
+    select.checked = selectedKeys.has(imageCard.dataset.key);
+    imageCard.classList.toggle('selected', select.checked);
+    select.addEventListener('change', () => {
+      toggleSelection(imageCard.dataset.key, select.checked);
+      imageCard.classList.toggle('selected', select.checked);
+    });
+    imageCard.appendChild(select);
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.className = 'image-save';
+    saveBtn.textContent = '+';
+    saveBtn.title = 'Save to collection';
+    saveBtn.setAttribute('aria-label', 'Save to collection');
+    saveBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openCollectionPicker(saveBtn, image);
+    });
+    imageCard.appendChild(saveBtn);
+    
+    // Add credit if available
+    if (image.source) {
+      const credit = document.createElement('div');
+      credit.className = 'image-credit';
+      // Credit links to the source page, not the image
+      const creditLink = document.createElement('a');
+      creditLink.href = image.pageUrl || image.url;
+      creditLink.target = '_blank';
+      creditLink.rel = 'noopener noreferrer';
+      creditLink.textContent = image.source;
+      credit.appendChild(creditLink);
+      imageCard.appendChild(credit);
+    }
+    
+    return imageCard;
+  }
+
+  // Cards by image URL, so streamed re-rankings move existing cards instead of reloading them
+  let renderedCards = new Map();
+
+  // A new result set replaces the grid, so the cards and their lightbox entries start over
+  function resetCards() {
+    renderedCards = new Map();
+    imagesByKey.clear();
+  }
+
+  function renderImages(images) {
+    const nextCards = new Map();
+    const fragment = document.createDocumentFragment();
+    
+    images.forEach(image => {
+      const key = imageKey(image);
+      if (!key || nextCards.has(key)) return;
+      const card = renderedCards.get(key) || createImageCard(image);
+      nextCards.set(key, card);
+      fragment.appendChild(card);
+    });
+    
+    // Cards that dropped out of the ranking (collapsed duplicates, over the cap) go away
+    imageGrid.innerHTML = '';
+    imageGrid.appendChild(fragment);
+    renderedCards.forEach((card, key) => {
+      if (!nextCards.has(key)) imagesByKey.delete(key);
+    });
+    renderedCards = nextCards;
+  }
+
+  function appendImages(images) {
+    images.forEach(image => {
+      const key = imageKey(image);
+      if (!key || renderedCards.has(key)) return;
+      const card = createImageCard(image);
+      renderedCards.set(key, card);
+      imageGrid.appendChild(card);
+    });
+  }
+
   function displayImages(images) {
     if (!images || images.length === 0) {
+      resetCards();
       imageGrid.innerHTML = '<div class="no-results">No high-resolution images found. Try different search terms.</div>';
       return;
     }
 
-    imageGrid.innerHTML = '';
+    renderImages(images);
+  }
+
+  function renderProviderProgress(providers) {
+    providerProgress.innerHTML = '';
+    providers.forEach(provider => {
+      const chip = document.createElement('span');
+      chip.className = 'provider-chip pending';
+      chip.dataset.provider = provider;
+      chip.textContent = provider;
+      providerProgress.appendChild(chip);
+    });
+  }
+
+  function markProviderDone(provider, accepted) {
+    const chip = providerProgress.querySelector(`[data-provider="${provider}"]`);
+    if (!chip) return;
+    chip.classList.remove('pending');
+    chip.classList.add(accepted > 0 ? 'done' : 'empty');
+    chip.textContent = `${provider} ${accepted}`;
+  }
+
+  // Selection and batch downloads
+  const selectionBar = document.getElementById('selectionBar');
+  const selectionCount = document.getElementById('selectionCount');
+  const downloadSelectedBtn = document.getElementById('downloadSelectedBtn');
+  const downloadStatus = document.getElementById('downloadStatus');
+  const downloadFailures = document.getElementById('downloadFailures');
+  const selectedKeys = new Set();
+  let downloadPort = null;
+
+  function updateSelectionBar() {
+    // Stay visible while failures from the last batch are listed
+    selectionBar.hidden = selectedKeys.size === 0 && !downloadPort && downloadFailures.hidden;
+    selectionCount.textContent = `${selectedKeys.size} selected`;
+    downloadSelectedBtn.disabled = selectedKeys.size === 0 || Boolean(downloadPort);
+  }
+
+  function toggleSelection(key, selected) {
+    if (selected) selectedKeys.add(key);
+    else selectedKeys.delete(key);
+    updateSelectionBar();
+  }
+
+  function deselect(key) {
+    selectedKeys.delete(key);
+    const card = renderedCards.get(key);
+    if (!card) return;
+    card.classList.remove('selected');
+    const select = card.querySelector('.image-select');
+    if (select) select.checked = false;
+  }
+
+  function clearSelection() {
+    Array.from(selectedKeys).forEach(deselect);
+    downloadFailures.innerHTML = '';
+    downloadFailures.hidden = true;
+    downloadStatus.textContent = '';
+    updateSelectionBar();
+  }
+
+  function cardFor(key) {
+    return renderedCards.get(key) || null;
+  }
+
+  function downloadSelected() {
+    // Save in grid order
+    const keys = Array.from(imageGrid.querySelectorAll('.image-card'))
+      .map(card => card.dataset.key)
+      .filter(key => selectedKeys.has(key));
+    const images = keys.map(key => imagesByKey.get(key));
+    if (images.length === 0) return;
     
-    images.forEach((image, index) => {
-      const imageCard = document.createElement('div');
-      imageCard.className = 'image-card';
-      
-      const imageLink = document.createElement('a');
-      // FIX: Use imageUrl for direct image link, fallback to url
-      imageLink.href = image.imageUrl || image.url;
-      imageLink.target = '_blank';
-      imageLink.className = 'image-link';
-      imageLink.rel = 'noopener noreferrer';
-      
-      const img = document.createElement('img');
-      img.className = 'image-thumb loading';
-      img.alt = image.title || 'High resolution image';
-      img.loading = 'lazy';
-      img.referrerPolicy = 'no-referrer';
-      
-      // Handle image load
-      img.onload = () => {
-        img.classList.remove('loading');
-        img.classList.add('loaded');
-      };
-      
-      img.onerror = () => {
-        imageCard.style.display = 'none';
-      };
-      
-      // Use imageUrl for the thumbnail, fallback to url
-      img.src = image.imageUrl || image.thumbnail || image.url;
-      
-      imageLink.appendChild(img);
-      imageCard.appendChild(imageLink);
-      
-      // Add credit if available
-      if (image.source) {
-        const credit = document.createElement('div');
-        credit.className = 'image-credit';
-        // Credit links to the source page, not the image
-        const sourceUrl = image.pageUrl || image.url;
-        credit.innerHTML = `<a href="${sourceUrl}" target="_blank" rel="noopener noreferrer">${image.source}</a>`;
-        imageCard.appendChild(credit);
+    const counts = { complete: 0, skipped: 0, failed: 0 };
+    const total = images.length;
+    downloadFailures.innerHTML = '';
+    downloadFailures.hidden = true;
+    downloadStatus.textContent = `Starting ${total} download(s)…`;
+    
+    const showCounts = () => {
+      const finished = counts.complete + counts.skipped + counts.failed;
+      const parts = [`${finished}/${total}`];
+      if (counts.skipped) parts.push(`${counts.skipped} skipped`);
+      if (counts.failed) parts.push(`${counts.failed} failed`);
+      downloadStatus.textContent = parts.join(' · ');
+    };
+    
+    const port = chrome.runtime.connect({ name: 'downloads' });
+    downloadPort = port;
+    updateSelectionBar();
+    
+    const finish = () => {
+      if (downloadPort === port) downloadPort = null;
+      port.disconnect();
+      updateSelectionBar();
+    };
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'item') {
+        const key = keys[message.index];
+        const card = cardFor(key);
+        if (message.status === 'downloading') return;
+        counts[message.status] += 1;
+        if (card) {
+          card.classList.toggle('downloaded', message.status !== 'failed');
+          card.classList.toggle('download-failed', message.status === 'failed');
+        }
+        // Failed items stay selected so they can be retried
+        if (message.status !== 'failed') deselect(key);
+        if (message.status === 'failed') {
+          const item = document.createElement('li');
+          const image = images[message.index];
+          item.textContent = `${image.title || image.imageUrl}: ${message.error}`;
+          downloadFailures.appendChild(item);
+          downloadFailures.hidden = false;
+        }
+        showCounts();
+      } else if (message.type === 'done') {
+        showCounts();
+        downloadStatus.textContent += ' · done';
+        finish();
+      } else if (message.type === 'error') {
+        downloadStatus.textContent = `Download failed: ${message.error}`;
+        finish();
       }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (downloadPort !== port) return;
+      downloadPort = null;
+      updateSelectionBar();
+    });
+    
+    port.postMessage({ action: 'download_images', images, query: currentQuery });
+  }
+
+  downloadSelectedBtn.addEventListener('click', downloadSelected);
+  document.getElementById('clearSelectionBtn').addEventListener('click', clearSelection);
+
+  // Save-to-collection picker shared by the cards and the lightbox
+  const collectionPicker = document.createElement('div');
+  collectionPicker.className = 'collection-picker';
+  collectionPicker.hidden = true;
+  document.body.appendChild(collectionPicker);
+
+  function closeCollectionPicker() {
+    collectionPicker.hidden = true;
+    collectionPicker.innerHTML = '';
+  }
+
+  async function saveToCollection(collectionId, image, anchor) {
+    closeCollectionPicker();
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'collection_add',
+        collectionId,
+        result: image,
+        query: currentQuery
+      });
+      if (!response?.success) throw new Error(response?.error);
+      anchor.classList.add('saved');
+      anchor.title = response.data.added ? 'Saved to collection' : 'Already in this collection';
+    } catch (error) {
+      console.error('Save to collection failed:', error);
+      anchor.title = 'Could not save';
+    }
+  }
+
+  async function createAndSave(image, anchor) {
+    const name = window.prompt('New collection name');
+    if (!name || !name.trim()) return;
+    const response = await chrome.runtime.sendMessage({ action: 'collection_create', name });
+    if (response?.success) saveToCollection(response.data.id, image, anchor);
+  }
+
+  async function openCollectionPicker(anchor, image) {
+    const response = await chrome.runtime.sendMessage({ action: 'collections_list' });
+    const collections = response?.success ? response.data : [];
+    
+    collectionPicker.innerHTML = '';
+    collections.forEach(collection => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.textContent = collection.name;
+      option.addEventListener('click', () => saveToCollection(collection.id, image, anchor));
+      collectionPicker.appendChild(option);
+    });
+    const create = document.createElement('button');
+    create.type = 'button';
+    create.className = 'picker-create';
+    create.textContent = 'New collection…';
+    create.addEventListener('click', () => {
+      closeCollectionPicker();
+      createAndSave(image, anchor);
+    });
+    collectionPicker.appendChild(create);
+    
+    const rect = anchor.getBoundingClientRect();
+    collectionPicker.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 220)}px`;
+    collectionPicker.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 220))}px`;
+    collectionPicker.hidden = false;
+  }
+
+  document.addEventListener('click', (e) => {
+    if (!collectionPicker.hidden && !collectionPicker.contains(e.target)) closeCollectionPicker();
+  });
+
+  // Lightbox viewer
+  const lightbox = document.getElementById('lightbox');
+  const lightboxStage = document.getElementById('lightboxStage');
+  const lightboxImage = document.getElementById('lightboxImage');
+  const lightboxTitle = document.getElementById('lightboxTitle');
+  const lightboxMeta = document.getElementById('lightboxMeta');
+  const lightboxOg = document.getElementById('lightboxOg');
+  const lightboxZoom = document.getElementById('lightboxZoom');
+  let lightboxKey = null;
+  let lastFocused = null;
+  const ogCache = new Map();
+
+  function formatBytes(bytes) {
+    const n = Number(bytes || 0);
+    if (!n) return '';
+    if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)} MB`;
+    return `${Math.round(n / 1000)} KB`;
+  }
+
+  function getDomainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  // Visible cards in grid order (cards whose image failed to load are hidden)
+  function visibleKeys() {
+    return Array.from(imageGrid.querySelectorAll('.image-card'))
+      .filter(card => card.style.display !== 'none')
+      .map(card => card.dataset.key);
+  }
+
+  function addMetaRow(label, value, href, list = lightboxMeta) {
+    if (!value) return;
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    if (href) {
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = value;
+      dd.appendChild(link);
+    } else {
+      dd.textContent = value;
+    }
+    list.append(dt, dd);
+  }
+
+  function renderLightboxMeta(image) {
+    lightboxMeta.innerHTML = '';
+    // Prefer the decoded size once the full image has loaded
+    const w = lightboxImage.naturalWidth || Number(image.width || 0);
+    const h = lightboxImage.naturalHeight || Number(image.height || 0);
+    if (w && h) {
+      addMetaRow('Dimensions', `${w} × ${h}`);
+      addMetaRow('Megapixels', `${((w * h) / 1_000_000).toFixed(1)} MP`);
+    }
+    addMetaRow('File size', formatBytes(image.byteSize));
+    addMetaRow('Type', image.mime || '');
+    const providers = (image._sources && image._sources.length > 0) ? image._sources.join(', ') : image._source;
+    addMetaRow('Provider', providers || '');
+    addMetaRow('Source', image.source || getDomainOf(image.pageUrl || image.imageUrl));
+    addMetaRow('Author', image.author || '');
+    addMetaRow('License', image.license || '', image.licenseUrl);
+    addMetaRow('Published', formatDate(image.publishedAt));
+    if (image.pageUrl) addMetaRow('Page', getDomainOf(image.pageUrl) || image.pageUrl, image.pageUrl);
+    addMetaRow('Image', 'Open original', image.imageUrl || image.url);
+    if (image._hashDistance !== undefined) {
+      let match = 'Reported by the provider, not compared';
+      if (image._hashDistance === 0) match = 'Identical picture';
+      else if (image._hashDistance !== null) match = `Near-identical (${image._hashDistance} of 64 bits differ)`;
+      addMetaRow('Match', match);
+    }
+    if (image._upgradedFrom) addMetaRow('Upgraded from', getDomainOf(image._upgradedFrom) || 'smaller copy', image._upgradedFrom);
+    (image._mirrors || []).forEach((mirror, i) => {
+      const size = mirror.width && mirror.height ? ` (${mirror.width} × ${mirror.height})` : '';
+      const name = mirror.source || getDomainOf(mirror.pageUrl || mirror.imageUrl);
+      addMetaRow(i === 0 ? 'Also found at' : '', `${name}${size}`, mirror.pageUrl || mirror.imageUrl);
+    });
+  }
+
+  function renderOgData(og) {
+    lightboxOg.innerHTML = '';
+    if (!og) return;
+    const fields = [['Title', og.title], ['Description', og.description], ['Alt text', og.alt]];
+    fields.forEach(([label, value]) => {
+      if (!value) return;
+      const block = document.createElement('p');
+      const name = document.createElement('strong');
+      name.textContent = `${label}: `;
+      block.append(name, document.createTextNode(value));
+      lightboxOg.appendChild(block);
+    });
+  }
+
+  // OG data is fetched on demand through the background and cached per page URL
+  async function loadOgData(image, key) {
+    const pageUrl = image.pageUrl || image.contextLink;
+    if (!pageUrl) return;
+    
+    if (!ogCache.has(pageUrl)) {
+      lightboxOg.textContent = 'Loading page details…';
+      ogCache.set(pageUrl, chrome.runtime.sendMessage({ action: 'fetch_og_data', url: pageUrl })
+        .then(response => (response?.success && !response.data?.error ? response.data : null))
+        .catch(() => null));
+    }
+    
+    const og = await ogCache.get(pageUrl);
+    if (lightboxKey !== key) return;
+    if (og) {
+      image.ogTitle = og.title;
+      image.ogDescription = og.description;
+      image.ogAlt = og.alt;
+    }
+    renderOgData(og);
+  }
+
+  function setZoom(actualSize) {
+    lightbox.classList.toggle('zoomed', actualSize);
+    lightboxZoom.textContent = actualSize ? 'Fit' : '100%';
+    if (actualSize) {
+      // Start centred on the image
+      lightboxStage.scrollLeft = (lightboxStage.scrollWidth - lightboxStage.clientWidth) / 2;
+      lightboxStage.scrollTop = (lightboxStage.scrollHeight - lightboxStage.clientHeight) / 2;
+    }
+  }
+
+  function showLightboxImage(key) {
+    const image = imagesByKey.get(key);
+    if (!image) return;
+    lightboxKey = key;
+    setZoom(false);
+    
+    lightboxTitle.textContent = image.title || '';
+    lightboxSave.classList.remove('saved');
+    lightboxImage.alt = image.title || 'High resolution image';
+    lightboxImage.removeAttribute('src');
+    lightboxImage.src = image.imageUrl || image.url;
+    lightboxImage.onload = () => {
+      if (lightboxKey === key) renderLightboxMeta(image);
+    };
+    
+    renderLightboxMeta(image);
+    lightboxOg.innerHTML = '';
+    loadOgData(image, key);
+  }
+
+  function openLightbox(key) {
+    lastFocused = document.activeElement;
+    lightbox.hidden = false;
+    document.body.classList.add('lightbox-open');
+    showLightboxImage(key);
+    document.getElementById('lightboxClose').focus();
+  }
+
+  function closeLightbox() {
+    lightbox.hidden = true;
+    lightboxKey = null;
+    lightboxImage.removeAttribute('src');
+    document.body.classList.remove('lightbox-open');
+    if (lastFocused) lastFocused.focus();
+  }
+
+  function stepLightbox(delta) {
+    const keys = visibleKeys();
+    if (keys.length === 0) return;
+    const index = keys.indexOf(lightboxKey);
+    const next = (index + delta + keys.length) % keys.length;
+    showLightboxImage(keys[next]);
+    // Viewing near the end of the grid pulls in the next page
+    if (next >= keys.length - 3) loadMore();
+  }
+
+  document.getElementById('lightboxPrev').addEventListener('click', () => stepLightbox(-1));
+  document.getElementById('lightboxNext').addEventListener('click', () => stepLightbox(1));
+  document.getElementById('lightboxClose').addEventListener('click', closeLightbox);
+  lightboxZoom.addEventListener('click', () => setZoom(!lightbox.classList.contains('zoomed')));
+  const lightboxSave = document.getElementById('lightboxSave');
+  lightboxSave.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const image = imagesByKey.get(lightboxKey);
+    if (image) openCollectionPicker(lightboxSave, image);
+  });
+
+  // Clicking the backdrop closes; clicking the image toggles 100%
+  lightboxStage.addEventListener('click', (e) => {
+    if (e.target === lightboxStage && !lightbox.classList.contains('zoomed')) closeLightbox();
+  });
+
+  // Drag to pan at 100%
+  let panStart = null;
+  lightboxImage.addEventListener('mousedown', (e) => {
+    if (!lightbox.classList.contains('zoomed')) return;
+    e.preventDefault();
+    panStart = { x: e.clientX, y: e.clientY, left: lightboxStage.scrollLeft, top: lightboxStage.scrollTop, moved: false };
+  });
+  window.addEventListener('mousemove', (e) => {
+    if (!panStart) return;
+    const dx = e.clientX - panStart.x;
+    const dy = e.clientY - panStart.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) panStart.moved = true;
+    lightboxStage.scrollLeft = panStart.left - dx;
+    lightboxStage.scrollTop = panStart.top - dy;
+  });
+  window.addEventListener('mouseup', () => {
+    setTimeout(() => { panStart = null; }, 0);
+  });
+  lightboxImage.addEventListener('click', () => {
+    if (panStart?.moved) return;
+    setZoom(!lightbox.classList.contains('zoomed'));
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (lightbox.hidden) return;
+    switch (e.key) {
+      case 'Escape':
+        if (!collectionPicker.hidden) closeCollectionPicker();
+        else closeLightbox();
+        break;
+      case 'ArrowLeft':
+        stepLightbox(-1);
+        break;
+      case 'ArrowRight':
+        stepLightbox(1);
+        break;
+      case 'z':
+      case 'Z':
+        setZoom(!lightbox.classList.contains('zoomed'));
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+
+  // Infinite scroll state: next offset per provider; empty once every provider is exhausted
+  let nextOffsets = {};
+  let allLoaded = true;
+  let loadingMore = false;
+  let searchGeneration = 0;
+  // History entry of the current run; later pages are added to it
+  let currentHistoryId = null;
+  // Search session the current image results belong to; load_more continues it
+  let imageSessionId = null;
+
+  function resetPaging() {
+    nextOffsets = {};
+    allLoaded = true;
+    loadingMore = false;
+    scrollSentinel.hidden = true;
+    scrollSentinel.textContent = '';
+  }
+
+  function updateSentinel(text) {
+    scrollSentinel.hidden = false;
+    scrollSentinel.textContent = text ?? (allLoaded ? 'No more images.' : '');
+  }
+
+  // more: providers have further pages or the worker held results back from this one
+  function setPaging(offsets, more) {
+    nextOffsets = offsets || {};
+    allLoaded = !more;
+    updateSentinel();
+    maybeLoadMore();
+  }
+
+  function maybeLoadMore() {
+    const rect = scrollSentinel.getBoundingClientRect();
+    if (!scrollSentinel.hidden && rect.top < window.innerHeight + 600) loadMore();
+  }
+
+  async function loadMore() {
+    if (loadingMore || allLoaded || !currentQuery) return;
+    
+    const generation = searchGeneration;
+    loadingMore = true;
+    updateSentinel('Loading more…');
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'load_more',
+        query: currentQuery,
+        category: 'images',
+        offsets: nextOffsets,
+        options: getSearchOptions(),
+        historyId: currentHistoryId,
+        sessionId: imageSessionId
+      });
+      if (generation !== searchGeneration) return;
+      if (response?.error) throw new Error(response.error);
       
-      imageGrid.appendChild(imageCard);
+      imageSessionId = response?.sessionId || imageSessionId;
+      appendImages(response?.data || []);
+      nextOffsets = response?.offsets || {};
+      allLoaded = response?.done !== false;
+      updateSentinel();
+    } catch (error) {
+      if (generation !== searchGeneration) return;
+      console.error('Load more error:', error);
+      allLoaded = true;
+      updateSentinel('Could not load more images.');
+    } finally {
+      if (generation === searchGeneration) {
+        loadingMore = false;
+        // Keep paging while the sentinel is still on screen (e.g. a page that was all duplicates)
+        if (!allLoaded) maybeLoadMore();
+      }
+    }
+  }
+
+  const scrollObserver = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) loadMore();
+  }, { rootMargin: '600px 0px' });
+  scrollObserver.observe(scrollSentinel);
+
+  function formatRunDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function showRunSummary(message) {
+    if (!message.previousRunAt) {
+      runSummary.hidden = true;
+      return;
+    }
+    const count = message.newCount || 0;
+    runSummary.textContent = `${count} new ${count === 1 ? 'image' : 'images'} since your last run on ${formatRunDate(message.previousRunAt)}`;
+    runSummary.hidden = false;
+  }
+
+  // Search history
+  function rerunFromHistory(entry) {
+    applySearchOptions(entry.options || {});
+    searchInput.value = entry.query;
+    updateUrl(entry.query);
+    performSearch(entry.query);
+  }
+
+  function createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    
+    const rerun = document.createElement('button');
+    rerun.type = 'button';
+    rerun.className = 'recent-item history-rerun';
+    rerun.textContent = entry.query;
+    rerun.title = 'Run this search again';
+    rerun.addEventListener('click', () => rerunFromHistory(entry));
+    
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `${formatRunDate(entry.timestamp)} · ${entry.resultCount} ${entry.resultCount === 1 ? 'result' : 'results'}`;
+    
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'history-remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove "${entry.query}" from history`);
+    remove.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ action: 'history_delete', entryId: entry.id });
+      loadHistory();
     });
+    
+    item.append(rerun, meta, remove);
+    return item;
+  }
+
+  async function loadHistory() {
+    const response = await chrome.runtime.sendMessage({ action: 'history_list' });
+    const entries = response?.success ? response.data : [];
+    historyList.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'No searches yet.';
+      historyList.appendChild(empty);
+    }
+    entries.forEach(entry => historyList.appendChild(createHistoryItem(entry)));
+    clearHistoryBtn.disabled = entries.length === 0;
+  }
+
+  historyToggle.addEventListener('click', (e) => {
+    e.preventDefault();
+    historyPanel.hidden = !historyPanel.hidden;
+    historyToggle.setAttribute('aria-expanded', String(!historyPanel.hidden));
+    if (!historyPanel.hidden) loadHistory();
+  });
+
+  clearHistoryBtn.addEventListener('click', async () => {
+    if (!window.confirm('Clear all search history?')) return;
+    await chrome.runtime.sendMessage({ action: 'history_clear' });
+    loadHistory();
+  });
+
+  // Watch the current search with the current overrides
+  watchBtn.addEventListener('click', async () => {
+    const query = searchInput.value.trim();
+    if (!query) return;
+    watchBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'watcher_create',
+        query,
+        options: getSearchOptions()
+      });
+      if (!response?.success) throw new Error(response?.error);
+      watchBtn.textContent = 'Watching';
+      watchBtn.title = `Checking for new images every ${response.data.intervalMinutes / 60} h. Manage in Settings.`;
+    } catch (error) {
+      watchBtn.disabled = false;
+      watchBtn.title = error.message || 'Could not watch this search';
+    }
+  });
+
+  let searchPort = null;
+
+  function closeSearchPort() {
+    if (searchPort) {
+      searchPort.disconnect();
+      searchPort = null;
+    }
+  }
+
+  // Stops any work still running for a search this page has moved on from
+  function cancelSession(sessionId) {
+    if (!sessionId) return;
+    chrome.runtime.sendMessage({ action: 'search_cancel', sessionId }).catch(() => {});
   }
 
-  async function performSearch(query) {
+  function performSearch(query) {
     if (!query.trim()) return;
     
     currentQuery = query.trim();
+    searchGeneration += 1;
+    currentHistoryId = null;
+    // Disconnecting an unfinished stream cancels its session in the worker
+    closeSearchPort();
+    cancelSession(imageSessionId);
+    imageSessionId = null;
+    resetPaging();
+    runSummary.hidden = true;
+    videoQuery = null;
+    newsQuery = null;
+    if (activeCategory === 'videos') searchVideos(currentQuery);
+    if (activeCategory === 'news') searchNews(currentQuery);
+    watchBtn.disabled = false;
+    watchBtn.textContent = 'Watch';
+    clearSelection();
+    resetCards();
     showLoading();
     createSkeletonGrid();
+    providerProgress.innerHTML = '';
     
-    try {
-      // Send message to background script
-      const response = await chrome.runtime.sendMessage({
-        action: 'search',
-        query: currentQuery,
-        categories: ['images']
-      });
+    let receivedAny = false;
+    const port = chrome.runtime.connect({ name: 'searchStream' });
+    searchPort = port;
+    
+    port.onMessage.addListener((message) => {
+      if (port !== searchPort) return;
       
+      switch (message.type) {
+        case 'start':
+          imageSessionId = message.sessionId || null;
+          renderProviderProgress(message.providers || []);
+          break;
+        case 'batch':
+          markProviderDone(message.provider, message.accepted);
+          if (message.images && message.images.length > 0) {
+            receivedAny = true;
+            renderImages(message.images);
+          }
+          break;
+        case 'done':
+          closeSearchPort();
+          hideLoading();
+          currentHistoryId = message.historyId || null;
+          showRunSummary(message);
+          if (!historyPanel.hidden) loadHistory();
+          if (receivedAny) {
+            setPaging(message.offsets, message.more);
+          } else {
+            displayImages([]);
+          }
+          break;
+        case 'error':
+          console.error('Search error:', message.error);
+          closeSearchPort();
+          hideLoading();
+          if (!receivedAny) {
+            imageGrid.innerHTML = '<div class="no-results">Search failed. Please try again.</div>';
+          }
+          break;
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (port !== searchPort) return;
+      // Worker went away mid-search
+      searchPort = null;
       hideLoading();
-      
-      if (response && response.data && response.data.images) {
-        displayImages(response.data.images);
+      if (!receivedAny) {
+        imageGrid.innerHTML = '<div class="no-results">Search error. Please try again.</div>';
+      }
+    });
+    
+    port.postMessage({
+      action: 'search_stream',
+      query: currentQuery,
+      categories: ['images'],
+      options: getSearchOptions()
+    });
+  }
+
+  // One-shot image lists (reverse search, page scan): no paging, history or watching
+  async function runImageTask(message, summarize, emptyText) {
+    currentQuery = '';
+    searchGeneration += 1;
+    const generation = searchGeneration;
+    currentHistoryId = null;
+    closeSearchPort();
+    cancelSession(imageSessionId);
+    imageSessionId = null;
+    resetPaging();
+    showCategory('images');
+    // Nothing to re-run for a watcher
+    watchBtn.disabled = true;
+    clearSelection();
+    resetCards();
+    providerProgress.innerHTML = '';
+    runSummary.hidden = true;
+    showLoading();
+    createSkeletonGrid();
+
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (generation !== searchGeneration) return;
+      if (!response?.success) throw new Error(response?.error || 'Something went wrong. Please try again.');
+
+      const { results } = response.data;
+      hideLoading();
+      runSummary.textContent = summarize(response.data);
+      runSummary.hidden = false;
+      if (results.length > 0) {
+        renderImages(results);
       } else {
-        imageGrid.innerHTML = '<div class="no-results">Search failed. Please try again.</div>';
+        imageGrid.innerHTML = `<div class="no-results">${emptyText}</div>`;
       }
-      
     } catch (error) {
-      console.error('Search error:', error);
+      if (generation !== searchGeneration) return;
+      console.error(`${message.action} error:`, error);
       hideLoading();
-      imageGrid.innerHTML = '<div class="no-results">Search error. Please try again.</div>';
+      const notice = document.createElement('div');
+      notice.className = 'no-results';
+      notice.textContent = error.message;
+      imageGrid.replaceChildren(notice);
+    }
+  }
+
+  // Reverse image search: larger copies of one image the user supplies
+  const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+  function reverseSearch(input) {
+    runImageTask({ action: 'reverse_search', ...input, options: getSearchOptions() }, ({ source, results }) => {
+      const larger = results.filter(image => image._larger).length;
+      const size = source.width && source.height ? `Your image is ${source.width} × ${source.height}. ` : '';
+      return results.length === 0
+        ? `${size}No copies found.`
+        : `${size}Found ${results.length} ${results.length === 1 ? 'copy' : 'copies'}, ${larger} larger.`;
+    }, 'No copies of this image were found.');
+  }
+
+  // Page scan: every image on another tab at its largest source, by true resolution
+  function scanPage(tabId) {
+    runImageTask({ action: 'scan_page', tabId }, ({ page, results }) => {
+      const upgraded = results.filter(image => image._upgradedFrom).length;
+      return `${results.length} ${results.length === 1 ? 'image' : 'images'} on ${page.title || page.url}, `
+        + `largest first; ${upgraded} upgraded to a bigger source.`;
+    }, 'No images of a useful size were found on that page.');
+  }
+
+  function reverseSearchUrl(imageUrl) {
+    const url = imageUrl.trim();
+    if (!url) return;
+    reverseUrlInput.value = url;
+    const newUrl = new URL(window.location);
+    newUrl.search = '';
+    newUrl.searchParams.set('image', url);
+    window.history.pushState({}, '', newUrl);
+    reverseSearch({ imageUrl: url });
+  }
+
+  function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  async function reverseSearchFile(file) {
+    if (!file || !file.type.startsWith('image/')) return;
+    if (file.size > MAX_UPLOAD_BYTES) {
+      runSummary.textContent = 'That image is too large to look up (15 MB at most).';
+      runSummary.hidden = false;
+      return;
+    }
+    reverseSearch({ imageData: await readFileAsDataUrl(file) });
+  }
+
+  reverseToggle.addEventListener('click', (e) => {
+    e.preventDefault();
+    reversePanel.hidden = !reversePanel.hidden;
+    reverseToggle.setAttribute('aria-expanded', String(!reversePanel.hidden));
+    if (!reversePanel.hidden) reverseUrlInput.focus();
+  });
+
+  reverseGoBtn.addEventListener('click', () => reverseSearchUrl(reverseUrlInput.value));
+  reverseUrlInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') reverseSearchUrl(reverseUrlInput.value);
+  });
+  reverseFileInput.addEventListener('change', () => {
+    reverseSearchFile(reverseFileInput.files[0]);
+    reverseFileInput.value = '';
+  });
+
+  // Pasting an image file (or, outside text fields, an image URL) looks it up
+  document.addEventListener('paste', (e) => {
+    const file = Array.from(e.clipboardData?.files || []).find(f => f.type.startsWith('image/'));
+    if (file) {
+      e.preventDefault();
+      reverseSearchFile(file);
+      return;
+    }
+    const typing = e.target.closest?.('input, textarea');
+    const text = (e.clipboardData?.getData('text/plain') || '').trim();
+    if (!typing && /^https?:\/\/\S+$/i.test(text)) reverseSearchUrl(text);
+  });
+
+  // Dropped files, or images dragged in from another page (which arrive as a URL)
+  document.addEventListener('dragover', (e) => {
+    const types = Array.from(e.dataTransfer?.types || []);
+    if (!types.includes('Files') && !types.includes('text/uri-list')) return;
+    e.preventDefault();
+    document.body.classList.add('drop-target');
+  });
+  document.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('drop-target');
+  });
+  document.addEventListener('drop', (e) => {
+    document.body.classList.remove('drop-target');
+    const file = Array.from(e.dataTransfer?.files || []).find(f => f.type.startsWith('image/'));
+    const url = (e.dataTransfer?.getData('text/uri-list') || '').split('\n').find(line => /^https?:/i.test(line.trim()));
+    if (!file && !url) return;
+    e.preventDefault();
+    if (file) reverseSearchFile(file);
+    else reverseSearchUrl(url);
+  });
+
+  // Videos tab
+  let videoQuery = null;
+  let videoOffsets = {};
+  let videoSessionId = null;
+  let videoGeneration = 0;
+  let videos = [];
+
+  function formatDuration(seconds) {
+    if (!seconds) return '';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const sec = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' }) : '';
+  }
+
+  function sortVideos(list) {
+    const recency = (a, b) => Date.parse(b.publishedAt || 0) - Date.parse(a.publishedAt || 0);
+    if (videoSortSelect.value === 'resolution') {
+      return list.sort((a, b) => (Number(b.height || 0) - Number(a.height || 0)) || recency(a, b));
+    }
+    return list.sort(recency);
+  }
+
+  function createVideoCard(video) {
+    const card = document.createElement('div');
+    card.className = 'image-card video-card';
+
+    const link = document.createElement('a');
+    link.href = video.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'image-link video-link';
+    link.addEventListener('click', (e) => {
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || !video.embedUrl) return;
+      e.preventDefault();
+      openVideoPlayer(video);
+    });
+
+    const img = document.createElement('img');
+    img.className = 'image-thumb';
+    img.alt = video.title || 'Video thumbnail';
+    img.loading = 'lazy';
+    img.referrerPolicy = 'no-referrer';
+    img.src = video.thumbnail;
+    link.appendChild(img);
+
+    const badges = [formatDuration(video.duration), video.resolution].filter(Boolean);
+    if (badges.length > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'video-badge';
+      badge.textContent = badges.join(' · ');
+      link.appendChild(badge);
+    }
+    card.appendChild(link);
+
+    const title = document.createElement('div');
+    title.className = 'video-title';
+    title.textContent = video.title;
+    card.appendChild(title);
+
+    const credit = document.createElement('div');
+    credit.className = 'image-credit';
+    credit.textContent = [video.author, formatDate(video.publishedAt), (video._sources || [video._source]).join(', ')]
+      .filter(Boolean)
+      .join(' · ');
+    card.appendChild(credit);
+
+    return card;
+  }
+
+  function renderVideos() {
+    videoGrid.innerHTML = '';
+    if (videos.length === 0) {
+      videoGrid.innerHTML = '<div class="no-results">No videos found. Try a longer time window.</div>';
+      return;
+    }
+    const fragment = document.createDocumentFragment();
+    videos.forEach(video => fragment.appendChild(createVideoCard(video)));
+    videoGrid.appendChild(fragment);
+  }
+
+  function setVideoStatus(text) {
+    videoStatus.hidden = !text;
+    videoStatus.textContent = text || '';
+  }
+
+  async function searchVideos(query) {
+    const generation = ++videoGeneration;
+    videoQuery = query;
+    videos = [];
+    videoOffsets = {};
+    cancelSession(videoSessionId);
+    videoSessionId = null;
+    videoGrid.innerHTML = '';
+    videoMoreBtn.hidden = true;
+    setVideoStatus('Searching videos…');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'search',
+        query,
+        categories: ['videos'],
+        options: getSearchOptions()
+      });
+      if (generation !== videoGeneration) {
+        cancelSession(response?.sessionId);
+        return;
+      }
+      if (response?.error) throw new Error(response.error);
+
+      videoSessionId = response?.sessionId || null;
+      videos = response?.data?.videos || [];
+      videoOffsets = response?.data?.offsets?.videos || {};
+      setVideoStatus('');
+      renderVideos();
+      videoMoreBtn.hidden = !response?.data?.more?.videos;
+    } catch (error) {
+      if (generation !== videoGeneration) return;
+      console.error('Video search error:', error);
+      setVideoStatus('');
+      videoGrid.innerHTML = '<div class="no-results">Video search failed. Please try again.</div>';
     }
   }
 
+  async function loadMoreVideos() {
+    const generation = videoGeneration;
+    videoMoreBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'load_more',
+        query: videoQuery,
+        category: 'videos',
+        offsets: videoOffsets,
+        options: getSearchOptions(),
+        sessionId: videoSessionId
+      });
+      if (generation !== videoGeneration) return;
+      if (response?.error) throw new Error(response.error);
+
+      videoSessionId = response?.sessionId || videoSessionId;
+      const known = new Set(videos.map(video => video.url));
+      videos = sortVideos(videos.concat((response?.data || []).filter(video => !known.has(video.url))));
+      videoOffsets = response?.offsets || {};
+      renderVideos();
+      videoMoreBtn.hidden = response?.done !== false;
+    } catch (error) {
+      console.error('Load more videos error:', error);
+      videoMoreBtn.hidden = true;
+    } finally {
+      videoMoreBtn.disabled = false;
+    }
+  }
+
+  function showCategory(category) {
+    activeCategory = category;
+    categoryTabs.forEach(tab => {
+      const active = tab.dataset.category === category;
+      tab.classList.toggle('active', active);
+      tab.setAttribute('aria-selected', String(active));
+    });
+    imageResults.hidden = category !== 'images';
+    videoResults.hidden = category !== 'videos';
+    newsResults.hidden = category !== 'news';
+    // Videos and news load the first time their tab is shown for a query
+    if (category === 'videos' && currentQuery && videoQuery !== currentQuery) searchVideos(currentQuery);
+    if (category === 'news' && currentQuery && newsQuery !== currentQuery) searchNews(currentQuery);
+  }
+
+  categoryTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      showCategory(tab.dataset.category);
+      if (currentQuery) updateUrl(currentQuery);
+    });
+  });
+
+  videoFreshnessSelect.addEventListener('change', () => {
+    if (currentQuery) {
+      updateUrl(currentQuery);
+      searchVideos(currentQuery);
+    }
+  });
+
+  // Sorting is local; the choice is also sent with later pages
+  videoSortSelect.addEventListener('change', () => {
+    if (currentQuery) updateUrl(currentQuery);
+    videos = sortVideos(videos);
+    if (videoQuery) renderVideos();
+  });
+
+  videoMoreBtn.addEventListener('click', loadMoreVideos);
+
+  // News tab
+  let newsQuery = null;
+  let newsOffsets = {};
+  let newsSessionId = null;
+  let newsGeneration = 0;
+  let articles = [];
+
+  function createArticleCard(article) {
+    const card = document.createElement('article');
+    card.className = 'news-card';
+
+    if (article.imageUrl) {
+      const imageLink = document.createElement('a');
+      imageLink.href = article.imageUrl;
+      imageLink.target = '_blank';
+      imageLink.rel = 'noopener noreferrer';
+      imageLink.className = 'news-image';
+      imageLink.title = 'Open the full-size lead image';
+
+      const img = document.createElement('img');
+      img.alt = article.title || 'Lead image';
+      img.loading = 'lazy';
+      img.referrerPolicy = 'no-referrer';
+      img.src = article.imageUrl;
+      img.onerror = () => imageLink.remove();
+      imageLink.appendChild(img);
+
+      if (article.width && article.height) {
+        const size = document.createElement('span');
+        size.className = 'video-badge';
+        size.textContent = `${article.width} × ${article.height}`;
+        imageLink.appendChild(size);
+      }
+      card.appendChild(imageLink);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'news-body';
+
+    const title = document.createElement('a');
+    title.className = 'news-title';
+    title.href = article.url;
+    title.target = '_blank';
+    title.rel = 'noopener noreferrer';
+    title.textContent = article.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'image-credit';
+    const outlets = article._outlets?.length ? article._outlets : [article.source];
+    meta.textContent = [outlets.filter(Boolean).join(', '), formatDate(article.publishedAt)].filter(Boolean).join(' · ');
+
+    const snippet = document.createElement('p');
+    snippet.className = 'news-snippet';
+    snippet.textContent = article.snippet || '';
+
+    body.append(title, meta, snippet);
+    card.appendChild(body);
+    return card;
+  }
+
+  function renderArticles() {
+    newsList.innerHTML = '';
+    if (articles.length === 0) {
+      newsList.innerHTML = '<div class="no-results">No stories found. Try a longer time window.</div>';
+      return;
+    }
+    const fragment = document.createDocumentFragment();
+    articles.forEach(article => fragment.appendChild(createArticleCard(article)));
+    newsList.appendChild(fragment);
+  }
+
+  function setNewsStatus(text) {
+    newsStatus.hidden = !text;
+    newsStatus.textContent = text || '';
+  }
+
+  async function searchNews(query) {
+    const generation = ++newsGeneration;
+    newsQuery = query;
+    articles = [];
+    newsOffsets = {};
+    cancelSession(newsSessionId);
+    newsSessionId = null;
+    newsList.innerHTML = '';
+    newsMoreBtn.hidden = true;
+    setNewsStatus('Searching news and pulling lead images…');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'search',
+        query,
+        categories: ['news'],
+        options: getSearchOptions()
+      });
+      if (generation !== newsGeneration) {
+        cancelSession(response?.sessionId);
+        return;
+      }
+      if (response?.error) throw new Error(response.error);
+
+      newsSessionId = response?.sessionId || null;
+      articles = response?.data?.news || [];
+      newsOffsets = response?.data?.offsets?.news || {};
+      setNewsStatus('');
+      renderArticles();
+      newsMoreBtn.hidden = !response?.data?.more?.news;
+    } catch (error) {
+      if (generation !== newsGeneration) return;
+      console.error('News search error:', error);
+      setNewsStatus('');
+      newsList.innerHTML = '<div class="no-results">News search failed. Please try again.</div>';
+    }
+  }
+
+  async function loadMoreNews() {
+    const generation = newsGeneration;
+    newsMoreBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'load_more',
+        query: newsQuery,
+        category: 'news',
+        offsets: newsOffsets,
+        options: getSearchOptions(),
+        sessionId: newsSessionId
+      });
+      if (generation !== newsGeneration) return;
+      if (response?.error) throw new Error(response.error);
+
+      newsSessionId = response?.sessionId || newsSessionId;
+      const known = new Set(articles.map(article => article.url));
+      articles = articles.concat((response?.data || []).filter(article => !known.has(article.url)));
+      newsOffsets = response?.offsets || {};
+      renderArticles();
+      newsMoreBtn.hidden = response?.done !== false;
+    } catch (error) {
+      console.error('Load more news error:', error);
+      newsMoreBtn.hidden = true;
+    } finally {
+      newsMoreBtn.disabled = false;
+    }
+  }
+
+  newsFreshnessSelect.addEventListener('change', () => {
+    if (currentQuery) {
+      updateUrl(currentQuery);
+      searchNews(currentQuery);
+    }
+  });
+
+  newsMoreBtn.addEventListener('click', loadMoreNews);
+
+  // Embedded player
+  let videoLastFocused = null;
+
+  function openVideoPlayer(video) {
+    videoLastFocused = document.activeElement;
+    videoStage.innerHTML = '';
+    const frame = document.createElement('iframe');
+    frame.className = 'video-frame';
+    frame.src = video.embedUrl;
+    frame.title = video.title || 'Video player';
+    frame.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+    frame.allowFullscreen = true;
+    frame.referrerPolicy = 'strict-origin-when-cross-origin';
+    videoStage.appendChild(frame);
+
+    videoTitle.textContent = video.title || '';
+    videoMeta.innerHTML = '';
+    addMetaRow('Channel', video.author, null, videoMeta);
+    addMetaRow('Published', formatDate(video.publishedAt), null, videoMeta);
+    addMetaRow('Duration', formatDuration(video.duration), null, videoMeta);
+    addMetaRow('Resolution', video.width && video.height ? `${video.width} × ${video.height}` : video.resolution, null, videoMeta);
+    addMetaRow(video._sources?.length > 1 ? 'Providers' : 'Provider', (video._sources || [video._source]).join(', '), null, videoMeta);
+    addMetaRow('Watch', video.source, video.url, videoMeta);
+    videoSnippet.textContent = video.snippet || '';
+
+    videoPlayer.hidden = false;
+    document.body.classList.add('lightbox-open');
+    document.getElementById('videoClose').focus();
+  }
+
+  function closeVideoPlayer() {
+    videoPlayer.hidden = true;
+    // Removing the frame stops playback
+    videoStage.innerHTML = '';
+    document.body.classList.remove('lightbox-open');
+    if (videoLastFocused) videoLastFocused.focus();
+  }
+
+  document.getElementById('videoClose').addEventListener('click', closeVideoPlayer);
+  videoStage.addEventListener('click', (e) => {
+    if (e.target === videoStage) closeVideoPlayer();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !videoPlayer.hidden) closeVideoPlayer();
+  });
+
   // Search button click
   searchBtn.addEventListener('click', () => {
     const query = searchInput.value.trim();
     if (query) {
       // Update URL
-      const newUrl = new URL(window.location);
-      newUrl.searchParams.set('q', query);
-      window.history.pushState({}, '', newUrl);
-      
+      updateUrl(query);
       performSearch(query);
     }
   });
@@ -153,12 +1606,20 @@ document.addEventListener('DOMContentLoaded', function() {
     if (e.key === 'Enter') {
       const query = searchInput.value.trim();
       if (query) {
-        const newUrl = new URL(window.location);
-        newUrl.searchParams.set('q', query);
-        window.history.pushState({}, '', newUrl);
-        
+        updateUrl(query);
         performSearch(query);
       }
     }
   });
+
+  // Re-run the current search when an override changes
+  [minMegaPixelsSelect, maxResultsSelect, requireAllTermsToggle, usePaidApisToggle, bypassCacheToggle].forEach(control => {
+    control.addEventListener('change', () => {
+      const query = searchInput.value.trim();
+      if (query) {
+        updateUrl(query);
+        performSearch(query);
+      }
+    });
+  });
 });
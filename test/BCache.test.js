@@ -0,0 +1,34 @@
+// test/BCache.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pageKey } from '../background/core/BCache.js';
+import { provider as serpApi } from '../background/api/serpApi.js';
+import { provider as youtube } from '../background/api/youtube.js';
+
+const config = {
+    minImageMegaPixels: 4,
+    maxResultsPerCategory: 50,
+    requireAllTerms: true,
+    usePaidImageAPIs: true,
+    videoFreshnessDays: 30,
+    newsFreshnessDays: 90,
+    cacheTtlMinutes: 60
+};
+
+test('filters applied after the request keep the same key', () => {
+    const key = pageKey(serpApi, 'Tokyo Tower', 0, config);
+    assert.equal(pageKey(serpApi, 'Tokyo Tower', 0, { ...config, minImageMegaPixels: 12 }), key);
+    assert.equal(pageKey(serpApi, 'Tokyo Tower', 0, { ...config, maxResultsPerCategory: 10 }), key);
+    assert.equal(pageKey(serpApi, 'Tokyo Tower', 0, { ...config, requireAllTerms: false }), key);
+    assert.equal(pageKey(serpApi, 'Tokyo Tower', 0, { ...config, usePaidImageAPIs: false }), key);
+    assert.equal(pageKey(serpApi, 'Tokyo Tower', 0, { ...config, bypassCache: true }), key);
+    assert.equal(pageKey(serpApi, 'tokyo  tower', 0, config), key);
+});
+
+test('fields sent to the provider change the key', () => {
+    const key = pageKey(youtube, 'tokyo tower', 0, config);
+    assert.notEqual(pageKey(youtube, 'tokyo tower', 0, { ...config, videoFreshnessDays: 7 }), key);
+    assert.equal(pageKey(youtube, 'tokyo tower', 0, { ...config, newsFreshnessDays: 7 }), key);
+    assert.notEqual(pageKey(youtube, 'tokyo tower', 1, config), key);
+    assert.notEqual(pageKey(serpApi, 'tokyo tower', 0, config), key);
+});
@@ -0,0 +1,38 @@
+// test/BHealth.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { testProviders } from '../background/core/BHealth.js';
+import { getProviders, runProvider } from '../background/core/BProviders.js';
+
+beforeEach(() => {
+    const store = {};
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async () => store,
+                set: async (items) => { Object.assign(store, items); }
+            }
+        }
+    };
+    // The probe query gets a good page; anything else is refused
+    globalThis.fetch = async (url) => {
+        if (new URL(url).searchParams.get('q') !== 'test') {
+            return new Response(JSON.stringify({ detail: 'Bad request.' }), { status: 400 });
+        }
+        const results = [{ title: 'Test card', url: 'https://images.example/test-card.jpg', foreign_landing_url: 'https://example.com/test-card' }];
+        return new Response(JSON.stringify({ results }), { status: 200 });
+    };
+});
+
+test('a connection test ignores a search running against the same provider', async () => {
+    const settings = { apiKeys: {}, providerConfig: {}, searchConfig: { cacheTtlMinutes: 0 } };
+    const openverse = getProviders().find(descriptor => descriptor.id === 'Openverse');
+
+    const search = runProvider(openverse, 'lighthouse', 0, settings, settings.searchConfig);
+    const [report] = await testProviders(settings, 'Openverse');
+    await search;
+
+    assert.equal(report.status, 'ok');
+    assert.equal(report.httpStatus, 200);
+    assert.equal(report.resultCount, 1);
+});
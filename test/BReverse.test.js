@@ -0,0 +1,87 @@
+// test/BReverse.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reverseImageSearch } from '../background/core/BReverse.js';
+import { getProviderIds } from '../background/core/BProviders.js';
+import { getProviderUsage } from '../background/utils/BUtils.js';
+
+const SOURCE_URL = 'https://example.com/photos/harbor.jpg';
+// Lens serves its match thumbnails from serpapi.com, next to the API itself
+const THUMBNAIL_URL = 'https://serpapi.com/searches/abc123/images/def456.jpeg';
+
+let fetched = [];
+
+// 9×8 pixels striped light and dark, so every image hashes the same and the hash is not flat
+function stripedPixels() {
+    const data = new Uint8ClampedArray(9 * 8 * 4);
+    for (let i = 0; i < 9 * 8; i++) {
+        const value = i % 2 === 0 ? 200 : 50;
+        data.set([value, value, value, 255], i * 4);
+    }
+    return data;
+}
+
+beforeEach(() => {
+    const store = {};
+    fetched = [];
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async () => store,
+                set: async (items) => { Object.assign(store, items); }
+            }
+        }
+    };
+    globalThis.fetch = async (url) => {
+        fetched.push(String(url));
+        if (String(url).startsWith('https://serpapi.com/search.json')) {
+            return new Response(JSON.stringify({
+                visual_matches: [{
+                    title: 'Harbor at dusk',
+                    link: 'https://other.example/harbor',
+                    image: 'https://other.example/full/harbor-large.jpg',
+                    image_width: 4000,
+                    image_height: 3000,
+                    thumbnail: THUMBNAIL_URL
+                }]
+            }), { status: 200 });
+        }
+        return new Response(new Uint8Array([0xFF, 0xD8, 0xFF]), { status: 200, headers: { 'content-type': 'image/jpeg' } });
+    };
+    globalThis.createImageBitmap = async () => ({ width: 800, height: 600, close() {} });
+    globalThis.OffscreenCanvas = class {
+        getContext() {
+            return { drawImage() {}, getImageData: () => ({ data: stripedPixels() }) };
+        }
+    };
+});
+
+function settingsFor(searchConfig, providerConfig = {}) {
+    return {
+        apiKeys: { serpApi: 'test-key' },
+        providerConfig,
+        searchConfig: { cacheTtlMinutes: 0, ...searchConfig }
+    };
+}
+
+test('a Lens visual match is hashed from its serpapi.com thumbnail and kept', async () => {
+    const providerConfig = {};
+    getProviderIds().forEach(id => { providerConfig[id] = { enabled: id === 'GoogleLens' }; });
+
+    const { results } = await reverseImageSearch({ imageUrl: SOURCE_URL }, settingsFor({ usePaidImageAPIs: true }, providerConfig));
+    assert.equal(results.length, 1);
+    assert.equal(results[0]._exact, false);
+    assert.equal(results[0]._hashDistance, 0);
+    assert.ok(fetched.includes(THUMBNAIL_URL));
+    // Only the lookup itself is a billed SerpApi request
+    assert.deepEqual(await getProviderUsage(), { GoogleLens: 1 });
+});
+
+test('with default settings the error says how to enable a reverse provider', async () => {
+    const settings = { apiKeys: {}, providerConfig: {}, searchConfig: { usePaidImageAPIs: false } };
+    await assert.rejects(reverseImageSearch({ imageUrl: SOURCE_URL }, settings), (error) => {
+        assert.match(error.message, /Google Lens \(SerpApi\), add its API key and turn on "Use paid image APIs"/);
+        assert.match(error.message, /Bing Visual Search, turn it on \(it is experimental\)/);
+        return true;
+    });
+});
@@ -0,0 +1,121 @@
+// test/BSearch.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { performSearch, loadMoreResults } from '../background/core/BSearch.js';
+import { getProviderIds } from '../background/core/BProviders.js';
+import { createTransientSession } from '../background/core/BSessions.js';
+
+// Openverse pages served to the adapter, by zero-based page index
+let openversePages = {};
+// The Unsplash search answer
+let unsplashBody = {};
+// Keys written to chrome.storage.session
+let sessionWrites = [];
+
+beforeEach(() => {
+    const store = {};
+    sessionWrites = [];
+    globalThis.chrome = {
+        storage: {
+            local: {
+                get: async () => store,
+                set: async (items) => { Object.assign(store, items); }
+            },
+            session: { set: async (items) => { sessionWrites.push(...Object.keys(items)); } }
+        }
+    };
+    globalThis.fetch = async (url) => {
+        const { hostname, searchParams } = new URL(url);
+        if (hostname === 'api.unsplash.com') return new Response(JSON.stringify(unsplashBody), { status: 200 });
+        const page = Number(searchParams.get('page')) - 1;
+        return new Response(JSON.stringify({ results: openversePages[page] || [] }), { status: 200 });
+    };
+});
+
+// Only one provider (Openverse by default) runs, with no cache, probes or hashing
+function settingsFor(config, providerId = 'Openverse', apiKeys = {}) {
+    const providerConfig = {};
+    getProviderIds().forEach(id => { providerConfig[id] = { enabled: id === providerId }; });
+    return {
+        apiKeys,
+        providerConfig,
+        searchConfig: {
+            minImageMegaPixels: 0,
+            requireAllTerms: false,
+            perceptualDedupe: false,
+            upgradeImageUrls: false,
+            cacheTtlMinutes: 0,
+            ...config
+        }
+    };
+}
+
+function openverseImage(n, width) {
+    return {
+        title: `Lighthouse ${n}`,
+        url: `https://images.example/lighthouse-a1b2c3d${n}.jpg`,
+        foreign_landing_url: `https://example.com/lighthouse-${n}`,
+        width,
+        height: 1000
+    };
+}
+
+test('results past maxResults are held for load_more instead of being lost', async () => {
+    openversePages = { 0: [1, 2, 3, 4, 5].map(n => openverseImage(n, 1000 + n * 100)) };
+    const settings = settingsFor({ maxResultsPerCategory: 2 });
+
+    const first = await performSearch('lighthouse', ['images'], settings);
+    assert.equal(first.images.length, 2);
+    assert.equal(first.more.images, true);
+});
+
+test('load_more hands out held results first and then reports it is done', async () => {
+    openversePages = { 0: [1, 2, 3, 4, 5].map(n => openverseImage(n, 1000 + n * 100)) };
+    const settings = settingsFor({ maxResultsPerCategory: 2 });
+    const session = createTransientSession('lighthouse');
+
+    const first = await performSearch('lighthouse', ['images'], settings, {}, session);
+    const second = await loadMoreResults('lighthouse', 'images', settings, first.offsets.images, {}, session);
+    assert.equal(second.results.length, 2);
+    assert.equal(second.more, true);
+    const third = await loadMoreResults('lighthouse', 'images', settings, second.offsets, {}, session);
+    assert.equal(third.results.length, 1);
+    assert.equal(third.more, false);
+
+    const urls = [...first.images, ...second.results, ...third.results].map(image => image.imageUrl);
+    assert.equal(new Set(urls).size, 5);
+    assert.deepEqual([...session.seen.images].sort(), urls.map(url => url.toLowerCase()).sort());
+});
+
+test('Unsplash photos are accepted although their URLs have no file extension', async () => {
+    unsplashBody = {
+        total_pages: 1,
+        results: [{
+            id: 'x1',
+            width: 4000,
+            height: 3000,
+            alt_description: 'lighthouse at dusk',
+            urls: {
+                full: 'https://images.unsplash.com/photo-1500000000000-abcdef123456?ixlib=rb-4.0.3&q=85&fm=jpg&crop=entropy&cs=srgb',
+                small: 'https://images.unsplash.com/photo-1500000000000-abcdef123456?w=400&fm=jpg'
+            },
+            links: { html: 'https://unsplash.com/photos/x1' },
+            user: { name: 'A. Photographer' }
+        }]
+    };
+    const settings = settingsFor({}, 'Unsplash', { unsplash: 'test-key' });
+
+    const results = await performSearch('lighthouse', ['images'], settings);
+    assert.equal(results.images.length, 1);
+    assert.equal(results.images[0]._source, 'Unsplash');
+    assert.equal(results.images[0].mime, 'image/jpeg');
+});
+
+test('a search in a transient session leaves nothing in session storage', async () => {
+    openversePages = { 0: [1, 2, 3].map(n => openverseImage(n, 1000 + n * 100)) };
+    const settings = settingsFor({ maxResultsPerCategory: 2 });
+
+    const results = await performSearch('lighthouse', ['images'], settings);
+    assert.equal(results.images.length, 2);
+    assert.deepEqual(sessionWrites, []);
+});
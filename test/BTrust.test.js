@@ -0,0 +1,173 @@
+// test/BTrust.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeImageSignature,
+    dedupeImagesBySignature,
+    scoreImageResult,
+    filterAndScoreResults
+} from '../background/core/BTrust.js';
+
+function image(imageUrl, fields = {}) {
+    return { category: 'images', title: 'Photo', url: imageUrl, imageUrl, _source: 'Test', ...fields };
+}
+
+test('size variants of one file share a signature', () => {
+    const original = normalizeImageSignature('https://example.com/uploads/golden-gate-bridge-at-dawn.jpg');
+    assert.equal(normalizeImageSignature('https://example.com/uploads/golden-gate-bridge-at-dawn-1024x683.jpg'), original);
+    assert.equal(normalizeImageSignature('https://example.com/uploads/golden-gate-bridge-at-dawn@2x.jpg'), original);
+    assert.equal(normalizeImageSignature('https://example.com/uploads/golden-gate-bridge-at-dawn-scaled.jpg'), original);
+});
+
+test('distinctive basenames collide across hosts', () => {
+    assert.equal(
+        normalizeImageSignature('https://a.example/photos/golden-gate-bridge-at-dawn.jpg'),
+        normalizeImageSignature('https://cdn.b.example/img/golden-gate-bridge-at-dawn-800x533.jpg')
+    );
+    // A hash or id is distinctive even in a short name
+    assert.equal(
+        normalizeImageSignature('https://a.example/x/9f3ab27c.jpg'),
+        normalizeImageSignature('https://b.example/y/9f3ab27c.jpg')
+    );
+});
+
+test('camera and generic names keep their host and folder', () => {
+    for (const name of ['DSC_0001.jpg', 'IMG_1234.jpg', 'IMG_20240512_143012.jpg', 'GOPR0042.jpg', 'image.jpg', '12.png']) {
+        assert.notEqual(
+            normalizeImageSignature(`https://a.example/photos/${name}`),
+            normalizeImageSignature(`https://b.example/photos/${name}`),
+            name
+        );
+    }
+    assert.notEqual(
+        normalizeImageSignature('https://a.example/2019/IMG_1234.jpg'),
+        normalizeImageSignature('https://a.example/2023/IMG_1234.jpg')
+    );
+    assert.equal(
+        normalizeImageSignature('https://a.example/2019/IMG_1234-1024x768.jpg'),
+        normalizeImageSignature('https://a.example/2019/IMG_1234.jpg')
+    );
+});
+
+test('short plain names are not distinctive', () => {
+    assert.notEqual(
+        normalizeImageSignature('https://a.example/sunset.jpg'),
+        normalizeImageSignature('https://b.example/sunset.jpg')
+    );
+});
+
+test('dedupe merges one photo only when both sizes are known and agree', () => {
+    const small = image('https://a.example/golden-gate-bridge-at-dawn-1024x683.jpg', { width: 1024, height: 683 });
+    const large = image('https://b.example/golden-gate-bridge-at-dawn.jpg', { width: 4096, height: 2731, _source: 'Other' });
+    const merged = dedupeImagesBySignature([small, large]);
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].imageUrl, large.imageUrl);
+    assert.deepEqual(merged[0]._sources.sort(), ['Other', 'Test']);
+    assert.equal(merged[0]._mirrors[0].imageUrl, small.imageUrl);
+
+    const unknown = image('https://c.example/golden-gate-bridge-at-dawn.jpg');
+    assert.equal(dedupeImagesBySignature([large, unknown]).length, 2);
+
+    const portrait = image('https://c.example/golden-gate-bridge-at-dawn.jpg', { width: 2000, height: 3000 });
+    assert.equal(dedupeImagesBySignature([large, portrait]).length, 2);
+});
+
+test('dedupe merges the same URL from two providers even without sizes', () => {
+    const merged = dedupeImagesBySignature([
+        image('https://a.example/IMG_1234.jpg', { _source: 'One' }),
+        image('https://a.example/IMG_1234.jpg', { _source: 'Two' })
+    ]);
+    assert.equal(merged.length, 1);
+    assert.deepEqual(merged[0]._sources, ['One', 'Two']);
+});
+
+test('two sites\' camera files stay separate results', () => {
+    const results = filterAndScoreResults([
+        image('https://a.example/DSC_0001.jpg', { width: 3000, height: 2000 }),
+        image('https://b.example/DSC_0001.jpg', { width: 3000, height: 2000 })
+    ], 0);
+    assert.equal(results.length, 2);
+});
+
+test('resolution score steps at 2, 4 and 8 megapixels', () => {
+    const resolution = (width, height) => scoreImageResult(image('https://a.example/x.jpg', { width, height })).resolution;
+    assert.equal(resolution(1999, 1000), 0);
+    assert.equal(resolution(2000, 1000), 1);
+    assert.equal(resolution(2000, 2000), 2);
+    assert.equal(resolution(4000, 2000), 3);
+    assert.equal(resolution(undefined, undefined), 0);
+});
+
+test('co-occurrence needs every entity for the full boost', () => {
+    const score = (title) => scoreImageResult(image('https://a.example/x.jpg', { title, _query: 'cats and dogs' })).coOccurrence;
+    assert.equal(score('Cats playing with dogs'), 4);
+    assert.equal(score('Cats asleep'), 1);
+    assert.equal(score('Horses'), 0);
+});
+
+test('term coverage counts query tokens found in the metadata', () => {
+    const score = (title) => scoreImageResult(image('https://a.example/x.jpg', { title, _query: 'red fox snow' })).termCoverage;
+    assert.equal(score('Red fox in the snow'), 2);
+    assert.equal(score('Red fox'), 1);
+    assert.equal(score('Fox'), 0);
+});
+
+test('cross-provider and weight components, and the total', () => {
+    const score = scoreImageResult(image('https://a.example/x.jpg', {
+        width: 4000, height: 2000, _sources: ['One', 'Two'], _weight: 0
+    }));
+    assert.equal(score.crossProvider, 1);
+    assert.equal(score.providerWeight, -1);
+    assert.equal(score.total, score.resolution + score.coOccurrence + score.termCoverage + score.crossProvider + score.providerWeight);
+});
+
+test('ranking breaks score ties by pixel count and honours maxResults', () => {
+    const results = filterAndScoreResults([
+        image('https://a.example/aaaaaaaaaaaaaaaa1.jpg', { width: 1000, height: 800 }),
+        image('https://a.example/aaaaaaaaaaaaaaaa2.jpg', { width: 1200, height: 800 }),
+        image('https://a.example/aaaaaaaaaaaaaaaa3.jpg', { width: 900, height: 800 })
+    ], 2);
+    assert.deepEqual(results.map(r => r.width), [1200, 1000]);
+});
+
+test('URLs in the seen set are dropped and returned ones are added', () => {
+    const seen = new Set(['https://a.example/aaaaaaaaaaaaaaaa1.jpg']);
+    const results = filterAndScoreResults([
+        image('https://a.example/aaaaaaaaaaaaaaaa1.jpg', { width: 1000, height: 800 }),
+        image('https://a.example/aaaaaaaaaaaaaaaa2.jpg', { width: 1000, height: 800 })
+    ], 0, seen);
+    assert.deepEqual(results.map(r => r.imageUrl), ['https://a.example/aaaaaaaaaaaaaaaa2.jpg']);
+    assert.ok(seen.has('https://a.example/aaaaaaaaaaaaaaaa2.jpg'));
+});
+
+test('empty input gives an empty list', () => {
+    assert.deepEqual(filterAndScoreResults([], 20), []);
+    assert.deepEqual(filterAndScoreResults(undefined, 20), []);
+});
+
+test('results cut by maxResults are not added to the seen set', () => {
+    const seen = new Set();
+    filterAndScoreResults([
+        image('https://a.example/aaaaaaaaaaaaaaaa1.jpg', { width: 1000, height: 800 }),
+        image('https://a.example/aaaaaaaaaaaaaaaa2.jpg', { width: 1200, height: 800 })
+    ], 1, seen);
+    assert.deepEqual([...seen], ['https://a.example/aaaaaaaaaaaaaaaa2.jpg']);
+});
+
+test('a second pass keeps the sources and copies merged in the first', () => {
+    const once = dedupeImagesBySignature([
+        image('https://a.example/golden-gate-bridge-at-dawn.jpg', { width: 4000, height: 2000, _source: 'One' }),
+        image('https://b.example/golden-gate-bridge-at-dawn.jpg', { width: 2000, height: 1000, _source: 'Two' })
+    ]);
+    const twice = dedupeImagesBySignature(once);
+    assert.deepEqual(twice[0]._sources, ['One', 'Two']);
+    assert.equal(twice[0]._copies, 2);
+});
+
+test('articles rank by provider weight, shown in their breakdown', () => {
+    const article = (url, weight) => ({ category: 'news', title: 'Harbor news', url, _source: 'Test', _weight: weight });
+    const results = filterAndScoreResults([article('https://a.example/one', 1), article('https://b.example/two', 3)], 0);
+    assert.deepEqual(results.map(r => r.url), ['https://b.example/two', 'https://a.example/one']);
+    assert.equal(results[0]._score.providerWeight, 2);
+    assert.equal(results[0]._score.total, 2);
+});
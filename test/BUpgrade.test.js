@@ -0,0 +1,43 @@
+// test/BUpgrade.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UPGRADE_RULES, upgradeCandidates } from '../background/utils/BUpgrade.js';
+
+for (const rule of UPGRADE_RULES) {
+  test(`${rule.id} rewrites its examples`, () => {
+    assert.ok(rule.examples.length > 0, 'every rule documents at least one example');
+    for (const [resized, original] of rule.examples) {
+      assert.equal(rule.upgrade(new URL(resized)), original, resized);
+      assert.ok(upgradeCandidates(resized).some(candidate => candidate.url === original), resized);
+    }
+  });
+}
+
+test('an original URL has no candidates', () => {
+  const originals = [
+    'https://upload.wikimedia.org/wikipedia/commons/a/ab/Tower.jpg',
+    'https://example.com/photos/harbor.jpg',
+    ...UPGRADE_RULES.flatMap(rule => rule.examples.map(([, original]) => original))
+  ];
+  for (const url of originals) {
+    assert.deepEqual(upgradeCandidates(url), [], url);
+  }
+});
+
+test('query-size leaves unrelated query strings alone', () => {
+  const rule = UPGRADE_RULES.find(r => r.id === 'query-size');
+  const urls = [
+    'https://example.com/photo.jpg?id=42&page=2',
+    'https://example.com/photo.jpg?sw=1&width_hint=800&format=webp',
+    'https://example.com/photo.jpg'
+  ];
+  for (const url of urls) {
+    assert.equal(rule.upgrade(new URL(url)), null, url);
+    assert.deepEqual(upgradeCandidates(url), [], url);
+  }
+});
+
+test('candidates skip URLs that are not http(s) or not URLs at all', () => {
+  assert.deepEqual(upgradeCandidates('data:image/png;base64,AAAA'), []);
+  assert.deepEqual(upgradeCandidates('not a url'), []);
+});